@@ -12,6 +12,9 @@
   if (searchToggle.length > 0) {
     searchToggle.on("click", function () {
       cBody.toggleClass("open");
+      if (cBody.hasClass("open")) {
+        $(".overlay .search-box input").trigger("focus");
+      }
       return false;
     });
   }
@@ -587,22 +590,34 @@
       })
       
 
-  // slider-range
-  $("#slider-range").slider({
-    range: true,
-    min: 0,
-    max: 800,
-    values: [200, 600],
-    slide: function (event, ui) {
-      $("#amount").val("€" + ui.values[0] + " - €" + ui.values[1]);
-    },
+  // slider-range: sets the price inputs of its form. The shop filters are
+  // swapped in by htmx, so it is set up again whenever content loads
+  htmx.onLoad(function (content) {
+    $(content)
+      .find("#slider-range")
+      .addBack("#slider-range")
+      .each(function () {
+        var slider = $(this),
+          form = slider.closest("form"),
+          minPrice = form.find("[name='minPrice']"),
+          maxPrice = form.find("[name='maxPrice']"),
+          max = Number(slider.data("max")) || 0;
+
+        slider.slider({
+          range: true,
+          min: 0,
+          max: max,
+          values: [Number(minPrice.val()) || 0, Number(maxPrice.val()) || max],
+          slide: function (event, ui) {
+            minPrice.val(ui.values[0]);
+            maxPrice.val(ui.values[1]);
+          },
+          stop: function () {
+            minPrice[0].dispatchEvent(new Event("change", { bubbles: true }));
+          },
+        });
+      });
   });
-  $("#amount").val(
-    "€" +
-      $("#slider-range").slider("values", 0) +
-      " - €" +
-      $("#slider-range").slider("values", 1)
-  );
 
   // slider-range end
   /*----------------------------------------
@@ -1,5 +1,6 @@
 import { env, server } from "./src/server.js";
 import { connectDB } from "./src/utils.js";
+import { startCartSweeper } from "./src/services/cartSweeper.js";
 
 // HTML form endpoint
 server.get('/test', (req, res) => {
@@ -128,6 +129,7 @@ server.get('/test', (req, res) => {
 
 (async () => {
   await connectDB(env.parsed);
+  startCartSweeper();
   const port = process.env.PORT || 1234;
   server.listen(port, () => {
     console.log(`Server is running on port ${port}`);
@@ -0,0 +1,119 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { createLogger, format, transports } from "winston";
+import { Customer, Order } from "../src/models/index.js";
+
+// Configure environment variables
+dotenv.config();
+
+const logger = createLogger({
+  format: format.combine(
+    format.colorize(),
+    format.printf(({ level, message }) => {
+      const purple = "\x1b[35m";
+      const reset = "\x1b[0m";
+      return `${purple}[Pelzsecret]${reset} ${level}: ${message}`;
+    })
+  ),
+  transports: [new transports.Console()],
+});
+
+// Orders used to read their contact details and addresses from the customer
+// record; copy them onto each order. The record holds the details of the
+// customer's latest checkout, which is the best there is for older orders
+const snapshotOrderContacts = async () => {
+  const orders = await Order.collection
+    .find({ "contact.email": { $exists: false } }, { projection: { customer: 1 } })
+    .toArray();
+  const customers = await Customer.collection
+    .find({ _id: { $in: orders.map((order) => order.customer) } })
+    .toArray();
+  const customersById = new Map(customers.map((customer) => [customer._id.toString(), customer]));
+
+  let migrated = 0;
+  for (const order of orders) {
+    const customer = customersById.get(String(order.customer));
+    if (!customer) {
+      logger.warn(`Order ${order._id} has no customer record; left without contact details`);
+      continue;
+    }
+    await Order.collection.updateOne(
+      { _id: order._id },
+      {
+        $set: {
+          contact: {
+            email: customer.email.trim().toLowerCase(),
+            firstName: customer.firstName,
+            lastName: customer.lastName,
+            phoneNumber: customer.phoneNumber,
+          },
+          shippingAddress: customer.shippingAddress,
+          billingAddress: customer.billingAddress ?? customer.shippingAddress,
+        },
+      }
+    );
+    migrated++;
+  }
+  logger.info(`Copied contact details onto ${migrated} of ${orders.length} orders`);
+};
+
+// Customer emails are now stored lower case and unique. Fold records whose
+// emails differ only by case or spacing into the most recently updated one,
+// moving their orders across, then lower-case what is left
+const mergeCustomerEmails = async () => {
+  const customers = await Customer.collection
+    .find({}, { projection: { email: 1, createdAt: 1, updatedAt: 1 } })
+    .toArray();
+
+  /** @type {Map<string, any[]>} */
+  const byEmail = new Map();
+  for (const customer of customers) {
+    const email = customer.email.trim().toLowerCase();
+    byEmail.set(email, [...(byEmail.get(email) ?? []), customer]);
+  }
+
+  let merged = 0;
+  let renamed = 0;
+  for (const [email, records] of byEmail) {
+    records.sort(
+      (a, b) => (b.updatedAt ?? b.createdAt ?? 0) - (a.updatedAt ?? a.createdAt ?? 0)
+    );
+    const [kept, ...duplicates] = records;
+
+    if (duplicates.length) {
+      const duplicateIds = duplicates.map((customer) => customer._id);
+      await Order.collection.updateMany(
+        { customer: { $in: duplicateIds } },
+        { $set: { customer: kept._id } }
+      );
+      await Customer.collection.deleteMany({ _id: { $in: duplicateIds } });
+      logger.info(`${email}: merged ${duplicates.length} duplicate record(s)`);
+      merged += duplicates.length;
+    }
+    if (kept.email !== email) {
+      await Customer.collection.updateOne({ _id: kept._id }, { $set: { email } });
+      renamed++;
+    }
+  }
+  logger.info(`Merged ${merged} duplicate customers and lower-cased ${renamed} emails`);
+
+  // The unique index could not be built while duplicates existed
+  await Customer.syncIndexes();
+  logger.info("Customer indexes are up to date");
+};
+
+// Execute the script
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    logger.info("Connected to database");
+    // Snapshots first, so merged records cannot change the details an order shows
+    await snapshotOrderContacts();
+    await mergeCustomerEmails();
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Customer migration failed: ${error.message}`);
+    process.exit(1);
+  }
+})();
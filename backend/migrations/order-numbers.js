@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { createLogger, format, transports } from "winston";
+import { Order } from "../src/models/index.js";
+import {
+  advanceOrderCounter,
+  nextOrderNumber,
+  parseOrderNumber,
+} from "../src/services/orderNumbers.js";
+
+// Configure environment variables
+dotenv.config();
+
+const logger = createLogger({
+  format: format.combine(
+    format.colorize(),
+    format.printf(({ level, message }) => {
+      const purple = "\x1b[35m";
+      const reset = "\x1b[0m";
+      return `${purple}[Pelzsecret]${reset} ${level}: ${message}`;
+    })
+  ),
+  transports: [new transports.Console()],
+});
+
+// Orders used to be numbered `ORD-<timestamp>`; give them sequential numbers
+// in the order they were placed, keeping the old number so it still looks up
+const migrateOrderNumbers = async () => {
+  const orders = await Order.find({}, "orderNumber createdAt").sort({ createdAt: 1 });
+
+  // Counters first, so renumbered orders can never take a number already in use
+  const highestSequence = new Map();
+  for (const order of orders) {
+    const parsed = parseOrderNumber(order.orderNumber);
+    if (parsed) {
+      highestSequence.set(
+        parsed.year,
+        Math.max(highestSequence.get(parsed.year) ?? 0, parsed.sequence)
+      );
+    }
+  }
+  for (const [year, sequence] of highestSequence) {
+    await advanceOrderCounter(year, sequence);
+  }
+
+  let migrated = 0;
+  for (const order of orders) {
+    if (parseOrderNumber(order.orderNumber)) continue;
+
+    const orderNumber = await nextOrderNumber(order.createdAt);
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { orderNumber, legacyOrderNumber: order.orderNumber } }
+    );
+    logger.info(`${order.orderNumber} -> ${orderNumber}`);
+    migrated++;
+  }
+
+  logger.info(`Renumbered ${migrated} of ${orders.length} orders`);
+};
+
+// Execute the script
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    logger.info("Connected to database");
+    await migrateOrderNumbers();
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Order number migration failed: ${error.message}`);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { createLogger, format, transports } from "winston";
+import { Product } from "../src/models/index.js";
+
+// Configure environment variables
+dotenv.config();
+
+const logger = createLogger({
+  format: format.combine(
+    format.colorize(),
+    format.printf(({ level, message }) => {
+      const purple = "\x1b[35m";
+      const reset = "\x1b[0m";
+      return `${purple}[Pelzsecret]${reset} ${level}: ${message}`;
+    })
+  ),
+  transports: [new transports.Console()],
+});
+
+// Variants used to store their stock as a bare number, with the reservation
+// counter beside it; move both under `inventory` to match the product shape
+const migrateVariantInventory = async () => {
+  const { modifiedCount } = await Product.collection.updateMany(
+    { "variants.inventory": { $type: "number" } },
+    [
+      {
+        $set: {
+          variants: {
+            $map: {
+              input: "$variants",
+              in: {
+                $mergeObjects: [
+                  "$$this",
+                  {
+                    inventory: {
+                      quantity: {
+                        $cond: [
+                          { $isNumber: "$$this.inventory" },
+                          "$$this.inventory",
+                          { $ifNull: ["$$this.inventory.quantity", 0] },
+                        ],
+                      },
+                      reserved: {
+                        $ifNull: [
+                          "$$this.reserved",
+                          { $ifNull: ["$$this.inventory.reserved", 0] },
+                        ],
+                      },
+                    },
+                  },
+                ],
+              },
+            },
+          },
+        },
+      },
+      { $unset: "variants.reserved" },
+    ]
+  );
+
+  logger.info(`Migrated variant inventory on ${modifiedCount} products`);
+};
+
+// Execute the script
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    logger.info("Connected to database");
+    await migrateVariantInventory();
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Variant inventory migration failed: ${error.message}`);
+    process.exit(1);
+  }
+})();
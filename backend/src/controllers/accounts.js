@@ -0,0 +1,352 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { Cart, CustomerAccount, Order } from "../models/index.js";
+import {
+  asyncHandler,
+  formatZodErrorToString,
+  HttpError,
+  sendVerificationEmail,
+} from "../utils.js";
+import {
+  accountAddressSchema,
+  accountProfileSchema,
+  accountRegisterSchema,
+} from "../zodSchema.js";
+import { CUSTOMER_TOKEN_AUDIENCE } from "../middleware.js";
+import { findCustomerByEmail } from "../services/customers.js";
+import { toCustomerOrder } from "../services/orderLookup.js";
+import {
+  clearCartSessionCookie,
+  getCartSessionId,
+  setCartSessionCookie,
+} from "../services/cartSession.js";
+import { cookieOptions } from "./auth.js";
+import { mergeCarts } from "./cart.js";
+
+const VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Sign a customer account token; the audience keeps it from passing `protect`
+ * @param {any} id - Customer account ID
+ */
+const signCustomerToken = (id) =>
+  jwt.sign({ id }, process.env.JWT_SECRET, {
+    audience: CUSTOMER_TOKEN_AUDIENCE,
+    expiresIn: Number(process.env.JWT_EXPIRES_IN) || "7d",
+  });
+
+/**
+ * Verification tokens are stored hashed so a database leak cannot verify accounts
+ * @param {string} token
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Give an account a fresh verification token and email it to the shopper
+ * @param {any} account - Customer account document, saved here
+ */
+const sendAccountVerification = async (account) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  account.emailVerificationToken = hashToken(token);
+  account.emailVerificationExpire = new Date(Date.now() + VERIFICATION_TOKEN_TTL_MS);
+  await account.save();
+
+  sendVerificationEmail(account.email, token).catch(console.error);
+};
+
+/**
+ * Bring the shopper's guest cart into their account on login
+ * @param {any} account - Customer account document
+ * @param {string} [guestSessionId] - Session of the cart used before logging in
+ * @returns {Promise<{ sessionId?: string, mergeReport?: import("./cart.js").MergeReport }>}
+ * Session of the account's cart from now on, and what the merge had to leave out
+ */
+const adoptGuestCart = async (account, guestSessionId) => {
+  const accountCart =
+    account.cartSessionId &&
+    (await Cart.findOne({ sessionId: account.cartSessionId, status: "active" }));
+  const guestCart =
+    guestSessionId &&
+    guestSessionId !== account.cartSessionId &&
+    (await Cart.findOne({ sessionId: guestSessionId, status: "active" }));
+
+  if (guestCart && accountCart) {
+    const { report } = await mergeCarts(guestCart, accountCart);
+    return { sessionId: accountCart.sessionId, mergeReport: report };
+  }
+  return { sessionId: (guestCart || accountCart)?.sessionId };
+};
+
+/**
+ * What a new account's owner gets back at sign-up. The document in memory
+ * still holds the password hash and verification token, which `select: false`
+ * only keeps out of queries
+ * @param {any} account - Customer account document
+ */
+const toRegisteredAccount = (account) => ({
+  id: account._id,
+  email: account.email,
+  firstName: account.firstName,
+  lastName: account.lastName,
+  emailVerifiedAt: account.emailVerifiedAt ?? null,
+});
+
+/**
+ * Only one default address of each type
+ * @param {any} account - Customer account document
+ * @param {any} address - Address that was just saved
+ */
+const keepSingleDefault = (account, address) => {
+  if (!address.isDefault) return;
+  for (const other of account.addresses) {
+    if (other !== address && other.type === address.type) {
+      other.isDefault = false;
+    }
+  }
+};
+
+/**
+ * Sign up for a customer account; the account cannot log in until its email is verified
+ */
+export const registerAccountController = asyncHandler(async (req, res) => {
+  const { success, data, error } = await accountRegisterSchema.safeParseAsync(req.body);
+  if (!success) {
+    throw new HttpError(400, formatZodErrorToString(error));
+  }
+
+  if (await CustomerAccount.exists({ email: data.email })) {
+    throw new HttpError(400, "An account already exists for this email");
+  }
+
+  const account = await CustomerAccount.create(data);
+  await sendAccountVerification(account);
+
+  res.status(201).json({
+    message: "Account created. Check your email to verify your address.",
+    account: toRegisteredAccount(account),
+  });
+});
+
+/**
+ * Confirm an account's email from the link sent at sign-up
+ */
+export const verifyAccountEmailController = asyncHandler(async (req, res) => {
+  const account = await CustomerAccount.findOne({
+    emailVerificationToken: hashToken(req.params.token),
+    emailVerificationExpire: { $gt: new Date() },
+  });
+  if (!account) {
+    throw new HttpError(400, "Invalid token or token has expired");
+  }
+
+  account.emailVerifiedAt = new Date();
+  account.emailVerificationToken = undefined;
+  account.emailVerificationExpire = undefined;
+  await account.save();
+
+  res.status(200).json({ message: "Email verified. You can now log in." });
+});
+
+/**
+ * Send another verification email; answers the same whether or not the account exists
+ */
+export const resendVerificationController = asyncHandler(async (req, res) => {
+  const email = String(req.body.email || "").trim().toLowerCase();
+
+  const account = email && (await CustomerAccount.findOne({ email }));
+  if (account && !account.emailVerifiedAt) {
+    await sendAccountVerification(account);
+  }
+
+  res.status(200).json({
+    message: "If that account is awaiting verification, a new email is on its way.",
+  });
+});
+
+/**
+ * Log in to a customer account, bringing along the cart used as a guest
+ */
+export const loginAccountController = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  const account = await CustomerAccount.findOne({
+    email: String(email || "").trim().toLowerCase(),
+  }).select("+password");
+  // @ts-ignore
+  if (!account || !account.active || !(await account.comparePassword(String(password)))) {
+    throw new HttpError(401, "Invalid email or password");
+  }
+  if (!account.emailVerifiedAt) {
+    throw new HttpError(403, "Please verify your email before logging in");
+  }
+
+  const { sessionId: cartSessionId, mergeReport } = await adoptGuestCart(
+    account,
+    getCartSessionId(req)
+  );
+  account.cartSessionId = cartSessionId;
+  account.updatedAt = new Date();
+  await account.save();
+
+  res.cookie("customer_jwt", signCustomerToken(account._id), cookieOptions);
+  if (cartSessionId) {
+    // Lets an abandoned cart be followed up by email
+    await Cart.updateOne({ sessionId: cartSessionId }, { email: account.email });
+    setCartSessionCookie(res, cartSessionId);
+  }
+
+  account.password = undefined;
+  res.status(200).json({ account, mergeReport });
+});
+
+/**
+ * Log out of a customer account
+ */
+export const logoutAccountController = asyncHandler(async (req, res) => {
+  res.cookie("customer_jwt", "loggedout", {
+    expires: new Date(Date.now() + 10 * 1000), // Cookie expires in 10 seconds
+    httpOnly: true,
+  });
+  // The cart stays with the account, not with this browser
+  clearCartSessionCookie(res);
+
+  res.status(200).json({ success: true });
+});
+
+/**
+ * Get the logged-in customer's account
+ */
+export const getAccountController = asyncHandler(async (req, res) => {
+  // @ts-ignore
+  res.status(200).json(req.customerAccount);
+});
+
+/**
+ * Update the logged-in customer's name and phone number
+ */
+export const updateAccountController = asyncHandler(async (req, res) => {
+  const { success, data, error } = await accountProfileSchema.safeParseAsync(req.body);
+  if (!success) {
+    throw new HttpError(400, formatZodErrorToString(error));
+  }
+
+  // @ts-ignore
+  const account = req.customerAccount;
+  Object.assign(account, data, { updatedAt: new Date() });
+  await account.save();
+
+  res.status(200).json(account);
+});
+
+/**
+ * List the logged-in customer's saved addresses
+ */
+export const getAddressesController = asyncHandler(async (req, res) => {
+  // @ts-ignore
+  res.status(200).json(req.customerAccount.addresses);
+});
+
+/**
+ * Save a new address to the logged-in customer's account
+ */
+export const addAddressController = asyncHandler(async (req, res) => {
+  const { success, data, error } = await accountAddressSchema.safeParseAsync(req.body);
+  if (!success) {
+    throw new HttpError(400, formatZodErrorToString(error));
+  }
+
+  // @ts-ignore
+  const account = req.customerAccount;
+  account.addresses.push(data);
+  keepSingleDefault(account, account.addresses[account.addresses.length - 1]);
+  account.updatedAt = new Date();
+  await account.save();
+
+  res.status(201).json(account.addresses);
+});
+
+/**
+ * Replace one of the logged-in customer's saved addresses
+ */
+export const updateAddressController = asyncHandler(async (req, res) => {
+  const { success, data, error } = await accountAddressSchema.safeParseAsync(req.body);
+  if (!success) {
+    throw new HttpError(400, formatZodErrorToString(error));
+  }
+
+  // @ts-ignore
+  const account = req.customerAccount;
+  const address = account.addresses.id(req.params.addressId);
+  if (!address) {
+    throw new HttpError(404, "Address not found");
+  }
+
+  address.set(data);
+  keepSingleDefault(account, address);
+  account.updatedAt = new Date();
+  await account.save();
+
+  res.status(200).json(account.addresses);
+});
+
+/**
+ * Remove one of the logged-in customer's saved addresses
+ */
+export const deleteAddressController = asyncHandler(async (req, res) => {
+  // @ts-ignore
+  const account = req.customerAccount;
+  const address = account.addresses.id(req.params.addressId);
+  if (!address) {
+    throw new HttpError(404, "Address not found");
+  }
+
+  address.deleteOne();
+  account.updatedAt = new Date();
+  await account.save();
+
+  res.status(200).json(account.addresses);
+});
+
+/**
+ * List the orders placed with the logged-in customer's email, newest first
+ */
+export const getAccountOrdersController = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  // @ts-ignore
+  const customer = await findCustomerByEmail(req.customerAccount.email);
+  const query = { customer: customer?._id ?? null };
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const orders = await Order.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(Number(limit));
+
+  const total = await Order.countDocuments(query);
+
+  res.status(200).json({
+    orders: orders.map(toCustomerOrder),
+    currentPage: Number(page),
+    totalPages: Math.ceil(total / Number(limit)),
+    total,
+  });
+});
+
+/**
+ * Get one of the logged-in customer's orders
+ */
+export const getAccountOrderController = asyncHandler(async (req, res) => {
+  const { orderNumber } = req.params;
+
+  // @ts-ignore
+  const customer = await findCustomerByEmail(req.customerAccount.email);
+  const order =
+    customer &&
+    (await Order.findOne({ orderNumber, customer: customer._id }));
+  if (!order) {
+    throw new HttpError(404, `No order found with order number: ${orderNumber}`);
+  }
+
+  res.status(200).json(toCustomerOrder(order));
+});
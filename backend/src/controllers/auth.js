@@ -6,7 +6,7 @@ import { asyncHandler, HttpError } from "../utils.js";
  * Cookie configuration options
  * @type {import("express").CookieOptions}
  */
-const cookieOptions = {
+export const cookieOptions = {
   httpOnly: true, // Prevents JavaScript access to the cookie
   secure: process.env.NODE_ENV === 'production', // HTTPS only in production
   sameSite: 'strict',
@@ -1,52 +1,64 @@
-import { asyncHandler as expressAsyncHandler, HttpError } from "../utils.js";
+import {
+  asyncHandler as expressAsyncHandler,
+  formatZodErrorToString,
+  HttpError,
+} from "../utils.js";
+import {
+  cartCouponSchema,
+  cartEmailSchema,
+  priceAcknowledgementSchema,
+  shippingQuoteSchema,
+} from "../zodSchema.js";
 import { Cart, Product } from "../models/index.js";
+import { findVariant, getAvailableQuantity } from "../services/inventory.js";
+import { isCartExpired, reviveAbandonedCart } from "../services/cartSweeper.js";
+import { calculateTotals } from "../services/tax.js";
+import {
+  acknowledgePriceChanges,
+  calculateCartTotals,
+  getPriceChanges,
+  repriceCart,
+} from "../services/cartPricing.js";
+import { quoteShipping } from "../services/shipping.js";
+import { evaluateCoupon } from "../services/coupons.js";
+import {
+  getCartSessionId,
+  mintCartSessionId,
+  setCartSessionCookie,
+} from "../services/cartSession.js";
+import {
+  unsubscribeFromCartRecovery,
+  verifyRestoreToken,
+  verifyUnsubscribeToken,
+} from "../services/cartRecovery.js";
 
 // Constants
-const CART_EXPIRATION_HOURS = 24;
 const MAX_ITEMS_PER_CART = 50;
 const MIN_QUANTITY_PER_ITEM = 1;
 const MAX_QUANTITY_PER_ITEM = 10;
 
 /**
- * Calculate cart totals including subtotal, tax, and total
+ * Session of the cart a request is about: the admin routes name it in the URL,
+ * shoppers carry it in their signed cart cookie
+ * @param {import("express").Request} req
  */
-const calculateCartTotals = (items) => {
-  const subtotal = items.reduce(
-    (sum, item) => sum + item.price * item.quantity,
-    0
-  );
-  const taxRate = 0.1; // 10% tax rate
-  const tax = subtotal * taxRate;
-  const total = subtotal + tax;
-
-  return {
-    subtotal: Number(subtotal.toFixed(2)),
-    tax: Number(tax.toFixed(2)),
-    total: Number(total.toFixed(2)),
-  };
-};
-
-/**
- * Check if cart is expired
- */
-const isCartExpired = (cart) => {
-  const expirationTime = new Date(cart.updatedAt);
-  expirationTime.setHours(expirationTime.getHours() + CART_EXPIRATION_HOURS);
-  return new Date() > expirationTime;
+const resolveSessionId = (req) => {
+  const sessionId = req.params.sessionId ?? getCartSessionId(req);
+  if (!sessionId) {
+    throw new HttpError(404, "Cart not found");
+  }
+  return sessionId;
 };
 
 /**
- * Create a new cart with session ID
+ * Start a cart under a server-minted session, or return the shopper's current one
  */
 export const createCartController = expressAsyncHandler(async (req, res) => {
-  const { sessionId } = req.body;
-
-  if (!sessionId) {
-    throw new HttpError(400, "Session ID is required");
-  }
+  const currentSessionId = getCartSessionId(req);
 
-  // Check if cart already exists for this session
-  let existingCart = await Cart.findOne({ sessionId });
+  // Check if the shopper already has a cart
+  const existingCart =
+    currentSessionId && (await Cart.findOne({ sessionId: currentSessionId }));
 
   if (existingCart) {
     // If cart exists but is expired, create new one
@@ -55,104 +67,253 @@ export const createCartController = expressAsyncHandler(async (req, res) => {
         status: "expired",
         updatedAt: new Date(),
       });
-      existingCart = null;
-    } else {
-      throw new HttpError(400, "Active cart already exists for this session");
+    } else if (["active", "abandoned"].includes(existingCart.status)) {
+      reviveAbandonedCart(existingCart);
+      await existingCart.save();
+      res.status(200).json(existingCart);
+      return;
     }
   }
 
   const cart = await Cart.create({
-    sessionId,
+    sessionId: mintCartSessionId(),
     items: [],
     status: "active",
     totals: {
       subtotal: 0,
+      discount: 0,
       tax: 0,
       total: 0,
     },
   });
 
+  setCartSessionCookie(res, cart.sessionId);
   res.status(201).json(cart);
 });
 
 /**
- * Merge two carts (useful for guest checkout to logged-in transition)
+ * @typedef {Object} MergeAdjustment
+ * @property {string} product - Product ID
+ * @property {string | null} variant - Variant ID
+ * @property {string} [name] - Product name, when the product still exists
+ * @property {number} requested - Quantity the merge asked for
+ * @property {number} quantity - Quantity that ended up in the cart
+ * @property {"unavailable" | "variant_unavailable" | "out_of_stock" | "cart_full" | "max_quantity" | "stock"} reason - Why the line was dropped or clamped
  */
-export const mergeCartsController = expressAsyncHandler(async (req, res) => {
-  const { sourceSessionId, targetSessionId } = req.body;
 
-  if (!sourceSessionId || !targetSessionId) {
-    throw new HttpError(400, "Both source and target session IDs are required");
-  }
+/**
+ * @typedef {Object} MergeReport
+ * @property {MergeAdjustment[]} dropped - Lines that could not be carried over
+ * @property {MergeAdjustment[]} clamped - Lines carried over with a lower quantity
+ */
 
-  const sourceCart = await Cart.findOne({
-    sessionId: sourceSessionId,
-    status: "active",
-  });
-  const targetCart = await Cart.findOne({
-    sessionId: targetSessionId,
-    status: "active",
-  });
+/**
+ * Move the items of one cart into another and retire the source cart. Lines are
+ * matched on product and variant, and quantities never exceed current stock or
+ * MAX_QUANTITY_PER_ITEM; anything that had to give is listed in the report
+ * @param {any} sourceCart - Cart to empty, e.g. a guest cart
+ * @param {any} targetCart - Cart that keeps the items
+ * @returns {Promise<{ cart: any, report: MergeReport }>} The saved target cart
+ */
+export const mergeCarts = async (sourceCart, targetCart) => {
+  /** @type {MergeReport} */
+  const report = { dropped: [], clamped: [] };
 
-  if (!sourceCart || !targetCart) {
-    throw new HttpError(404, "Source or target cart not found");
-  }
+  const products = await Product.find({
+    _id: { $in: sourceCart.items.map((item) => item.product) },
+  });
+  const productsById = new Map(products.map((product) => [product._id.toString(), product]));
 
-  // Merge items
   for (const sourceItem of sourceCart.items) {
+    const product = productsById.get(sourceItem.product.toString());
+    const variantId = sourceItem.variant?.toString() ?? null;
+    const adjustment = (reason, quantity = 0) => ({
+      product: sourceItem.product.toString(),
+      variant: variantId,
+      name: product?.name,
+      requested: sourceItem.quantity,
+      quantity,
+      reason,
+    });
+
+    if (!product || !product.isActive) {
+      report.dropped.push(adjustment("unavailable"));
+      continue;
+    }
+
+    // A line must name an option that still exists, and only when the product has options
+    const variant = findVariant(product, variantId);
+    if (variantId ? !variant : product.variants.length) {
+      report.dropped.push(adjustment("variant_unavailable"));
+      continue;
+    }
+
     const existingItem = targetCart.items.find(
       (item) =>
         item.product.toString() === sourceItem.product.toString() &&
-        (!sourceItem.variant ||
-          item.variant?.toString() === sourceItem.variant?.toString())
+        (item.variant?.toString() ?? null) === variantId
     );
+    if (!existingItem && targetCart.items.length >= MAX_ITEMS_PER_CART) {
+      report.dropped.push(adjustment("cart_full"));
+      continue;
+    }
+
+    const currentQuantity = existingItem?.quantity ?? 0;
+    const wantedQuantity = currentQuantity + sourceItem.quantity;
+    const availableQuantity = getAvailableQuantity(product, variantId);
+    const limit = Math.min(MAX_QUANTITY_PER_ITEM, availableQuantity);
+    // Merging only ever adds; a line already in the target cart is left as it was
+    const quantity = Math.max(currentQuantity, Math.min(wantedQuantity, limit));
+
+    if (quantity < wantedQuantity) {
+      const reason = limit === availableQuantity ? "stock" : "max_quantity";
+      if (quantity === 0) {
+        report.dropped.push(adjustment("out_of_stock"));
+        continue;
+      }
+      report.clamped.push(adjustment(reason, quantity - currentQuantity));
+    }
 
     if (existingItem) {
-      // Update quantity within limits
-      existingItem.quantity = Math.min(
-        existingItem.quantity + sourceItem.quantity,
-        MAX_QUANTITY_PER_ITEM
-      );
+      existingItem.quantity = quantity;
     } else {
-      // Check max items limit
-      if (targetCart.items.length >= MAX_ITEMS_PER_CART) {
-        continue; // Skip if cart is full
-      }
-      targetCart.items.push(sourceItem);
+      targetCart.items.push({
+        product: product._id,
+        variant: variantId,
+        quantity,
+        price: variant?.price ?? product.price,
+      });
     }
   }
 
+  // A coupon on the guest cart carries over when the target has none
+  targetCart.coupon ??= sourceCart.coupon;
+
   // Recalculate totals
-  const totals = calculateCartTotals(targetCart.items);
-  targetCart.totals = totals;
+  targetCart.totals = await calculateCartTotals(targetCart);
   targetCart.updatedAt = new Date();
 
   // Save merged cart and mark source cart as merged
-  const updatedCart = await targetCart.save();
+  const cart = await targetCart.save();
   await Cart.findByIdAndUpdate(sourceCart._id, {
     status: "merged",
     updatedAt: new Date(),
   });
 
-  await updatedCart.populate({
+  return { cart, report };
+};
+
+/**
+ * Merge two carts (useful for guest checkout to logged-in transition)
+ */
+export const mergeCartsController = expressAsyncHandler(async (req, res) => {
+  const { sourceSessionId, targetSessionId } = req.body;
+
+  if (!sourceSessionId || !targetSessionId) {
+    throw new HttpError(400, "Both source and target session IDs are required");
+  }
+
+  if (sourceSessionId === targetSessionId) {
+    throw new HttpError(400, "Cannot merge a cart into itself");
+  }
+
+  const sourceCart = await Cart.findOne({
+    sessionId: sourceSessionId,
+    status: "active",
+  });
+  const targetCart = await Cart.findOne({
+    sessionId: targetSessionId,
+    status: "active",
+  });
+
+  if (!sourceCart || !targetCart) {
+    throw new HttpError(404, "Source or target cart not found");
+  }
+
+  const { cart, report } = await mergeCarts(sourceCart, targetCart);
+
+  await cart.populate({
     path: "items.product",
     select: "name price images inventory",
   });
 
-  res.status(200).json(updatedCart);
+  res.status(200).json({ cart, report });
 });
 
 /**
- * Get cart by session ID
+ * @typedef {Object} AvailabilityAdjustment
+ * @property {any} itemId - Cart line ID
+ * @property {string} product - Product ID
+ * @property {string | null} variant - Variant ID
+ * @property {string} [name] - Product name, when the product still exists
+ * @property {number} requested - Quantity the line had
+ * @property {number} quantity - Quantity left in the cart, 0 when the line was removed
+ * @property {"unavailable" | "variant_unavailable" | "out_of_stock" | "stock"} reason - Why the line was removed or clamped
+ */
+
+/**
+ * Remove lines that can no longer be bought and clamp the rest to the stock
+ * that is not reserved by other orders. Nothing is saved
+ * @param {any} cart - Cart document
+ * @param {Map<string, any>} productsById - The cart's products
+ * @returns {AvailabilityAdjustment[]} What changed, for the shopper
+ */
+const reconcileCartAvailability = (cart, productsById) => {
+  /** @type {AvailabilityAdjustment[]} */
+  const adjustments = [];
+  const removedItems = [];
+
+  for (const item of cart.items) {
+    const productId = item.product.toString();
+    const product = productsById.get(productId);
+    const variantId = item.variant?.toString() ?? null;
+    const adjustment = (reason, quantity = 0) => ({
+      itemId: item._id,
+      product: productId,
+      variant: variantId,
+      name: product?.name,
+      requested: item.quantity,
+      quantity,
+      reason,
+    });
+
+    if (!product || !product.isActive || product.inventory.status === "discontinued") {
+      adjustments.push(adjustment("unavailable"));
+      removedItems.push(item);
+      continue;
+    }
+
+    // Same rule as adding: an option that still exists, and only when the product has options
+    if (variantId ? !findVariant(product, variantId) : product.variants.length) {
+      adjustments.push(adjustment("variant_unavailable"));
+      removedItems.push(item);
+      continue;
+    }
+
+    const availableQuantity = getAvailableQuantity(product, variantId);
+    if (availableQuantity === 0) {
+      adjustments.push(adjustment("out_of_stock"));
+      removedItems.push(item);
+    } else if (item.quantity > availableQuantity) {
+      adjustments.push(adjustment("stock", availableQuantity));
+      item.quantity = availableQuantity;
+    }
+  }
+
+  for (const item of removedItems) {
+    cart.items.pull(item._id);
+  }
+  return adjustments;
+};
+
+/**
+ * Get cart by session ID, brought in line with current stock and prices
  */
 export const getCartBySessionController = expressAsyncHandler(
   async (req, res) => {
-    const { sessionId } = req.params;
+    const sessionId = resolveSessionId(req);
 
-    const cart = await Cart.findOne({ sessionId }).populate({
-      path: "items.product",
-      select: "name price images inventory",
-    });
+    const cart = await Cart.findOne({ sessionId });
 
     if (!cart) {
       throw new HttpError(404, "Cart not found");
@@ -165,31 +326,36 @@ export const getCartBySessionController = expressAsyncHandler(
       throw new HttpError(400, "Cart has expired");
     }
 
-    // Validate and update product availability
-    let needsUpdate = false;
-    // @ts-ignore
-    cart.items = await Promise.all(
-      cart.items.filter(async (item) => {
-        const product = await Product.findById(item.product);
-        if (
-          !product ||
-          !product.isActive ||
-          product.inventory.quantity < item.quantity
-        ) {
-          needsUpdate = true;
-          return false;
-        }
-        return true;
-      })
-    );
+    // A shopper coming back to an abandoned cart picks it up again
+    let needsUpdate = cart.status === "abandoned";
+    reviveAbandonedCart(cart);
+
+    // One query for every line, shared by the stock and price checks
+    const products = await Product.find({
+      _id: { $in: cart.items.map((item) => item.product) },
+    });
+    const productsById = new Map(products.map((product) => [product._id.toString(), product]));
 
-    if (needsUpdate) {
-      cart.totals = calculateCartTotals(cart.items);
+    const adjustments = reconcileCartAvailability(cart, productsById);
+    // Show today's prices, flagging lines that changed since they were added
+    const repriced = await repriceCart(cart, productsById);
+
+    if (needsUpdate || adjustments.length || repriced) {
+      cart.totals = await calculateCartTotals(cart);
       cart.updatedAt = new Date();
       await cart.save();
     }
 
-    res.status(200).json(cart);
+    await cart.populate({
+      path: "items.product",
+      select: "name price images inventory",
+    });
+
+    res.status(200).json({
+      ...cart.toObject(),
+      adjustments,
+      priceChanges: getPriceChanges(cart),
+    });
   }
 );
 
@@ -197,7 +363,7 @@ export const getCartBySessionController = expressAsyncHandler(
  * Add item to cart
  */
 export const addCartItemController = expressAsyncHandler(async (req, res) => {
-  const { sessionId } = req.params;
+  const sessionId = resolveSessionId(req);
   const { productId, quantity = 1, variantId = null } = req.body;
 
   // Enhanced validation
@@ -224,6 +390,9 @@ export const addCartItemController = expressAsyncHandler(async (req, res) => {
     throw new HttpError(400, "Cart has expired");
   }
 
+  // A shopper coming back to an abandoned cart picks it up again
+  reviveAbandonedCart(cart);
+
   // Check cart status
   if (cart.status !== "active") {
     throw new HttpError(400, "Cart is no longer active");
@@ -245,40 +414,52 @@ export const addCartItemController = expressAsyncHandler(async (req, res) => {
     );
   }
 
-  // Inventory validation
-  const availableQuantity =
-    product.inventory.quantity - product.inventory.reserved;
-  if (availableQuantity < quantity) {
-    throw new HttpError(400, `Only ${availableQuantity} items available`);
+  // Variant validation
+  const variant = findVariant(product, variantId);
+  if (variantId && !variant) {
+    throw new HttpError(400, "Variant does not belong to this product");
+  }
+  if (!variantId && product.variants.length) {
+    throw new HttpError(400, "Please choose an option for this product");
   }
 
   // Check for existing item
   const existingItemIndex = cart.items.findIndex(
     (item) =>
       item.product.toString() === productId &&
-      (!variantId || item.variant?.toString() === variantId)
+      (item.variant?.toString() ?? null) === (variantId || null)
   );
+  const newQuantity =
+    existingItemIndex > -1
+      ? cart.items[existingItemIndex].quantity + quantity
+      : quantity;
+
+  if (newQuantity > MAX_QUANTITY_PER_ITEM) {
+    throw new HttpError(
+      400,
+      `Cannot add more than ${MAX_QUANTITY_PER_ITEM} units of an item`
+    );
+  }
+
+  // Inventory validation
+  const availableQuantity = getAvailableQuantity(product, variantId);
+  if (availableQuantity < newQuantity) {
+    throw new HttpError(400, `Only ${availableQuantity} items available`);
+  }
 
   if (existingItemIndex > -1) {
-    const newQuantity = cart.items[existingItemIndex].quantity + quantity;
-    if (newQuantity > MAX_QUANTITY_PER_ITEM) {
-      throw new HttpError(
-        400,
-        `Cannot add more than ${MAX_QUANTITY_PER_ITEM} units of an item`
-      );
-    }
     cart.items[existingItemIndex].quantity = newQuantity;
   } else {
     cart.items.push({
       product: productId,
       variant: variantId,
       quantity,
-      price: product.price,
+      price: variant?.price ?? product.price,
     });
   }
 
   // Update totals
-  cart.totals = calculateCartTotals(cart.items);
+  cart.totals = await calculateCartTotals(cart);
   cart.updatedAt = new Date();
 
   const updatedCart = await cart.save();
@@ -295,7 +476,8 @@ export const addCartItemController = expressAsyncHandler(async (req, res) => {
  */
 export const updateCartItemController = expressAsyncHandler(
   async (req, res) => {
-    const { sessionId, itemId } = req.params;
+    const sessionId = resolveSessionId(req);
+    const { itemId } = req.params;
     const { quantity } = req.body;
 
     // Validate quantity
@@ -322,6 +504,9 @@ export const updateCartItemController = expressAsyncHandler(
       throw new HttpError(400, "Cart has expired");
     }
 
+    // A shopper coming back to an abandoned cart picks it up again
+    reviveAbandonedCart(cart);
+
     if (cart.status !== "active") {
       throw new HttpError(400, "Cart is no longer active");
     }
@@ -336,14 +521,13 @@ export const updateCartItemController = expressAsyncHandler(
       throw new HttpError(404, "Product no longer available");
     }
 
-    const availableQuantity =
-      product.inventory.quantity - product.inventory.reserved;
+    const availableQuantity = getAvailableQuantity(product, cartItem.variant);
     if (availableQuantity < quantity) {
       throw new HttpError(400, `Only ${availableQuantity} items available`);
     }
 
     cartItem.quantity = quantity;
-    cart.totals = calculateCartTotals(cart.items);
+    cart.totals = await calculateCartTotals(cart);
     cart.updatedAt = new Date();
 
     const updatedCart = await cart.save();
@@ -361,7 +545,8 @@ export const updateCartItemController = expressAsyncHandler(
  */
 export const removeCartItemController = expressAsyncHandler(
   async (req, res) => {
-    const { sessionId, itemId } = req.params;
+    const sessionId = resolveSessionId(req);
+    const { itemId } = req.params;
 
     const cart = await Cart.findOne({ sessionId });
     if (!cart) {
@@ -375,6 +560,9 @@ export const removeCartItemController = expressAsyncHandler(
       throw new HttpError(400, "Cart has expired");
     }
 
+    // A shopper coming back to an abandoned cart picks it up again
+    reviveAbandonedCart(cart);
+
     if (cart.status !== "active") {
       throw new HttpError(400, "Cart is no longer active");
     }
@@ -387,7 +575,7 @@ export const removeCartItemController = expressAsyncHandler(
     }
 
     cart.items.splice(itemIndex, 1);
-    cart.totals = calculateCartTotals(cart.items);
+    cart.totals = await calculateCartTotals(cart);
     cart.updatedAt = new Date();
 
     const updatedCart = await cart.save();
@@ -404,7 +592,7 @@ export const removeCartItemController = expressAsyncHandler(
  * Clear cart
  */
 export const clearCartController = expressAsyncHandler(async (req, res) => {
-  const { sessionId } = req.params;
+  const sessionId = resolveSessionId(req);
 
   const cart = await Cart.findOne({ sessionId });
   if (!cart) {
@@ -418,14 +606,19 @@ export const clearCartController = expressAsyncHandler(async (req, res) => {
     throw new HttpError(404, "Cart has expired");
   }
 
+  // A shopper coming back to an abandoned cart picks it up again
+  reviveAbandonedCart(cart);
+
   if (cart.status !== "active") {
     throw new HttpError(404, "Cart is no longer active");
   }
 
   // @ts-ignore
   cart.items = [];
+  cart.coupon = undefined;
   cart.totals = {
     subtotal: 0,
+    discount: 0,
     tax: 0,
     total: 0,
   };
@@ -434,3 +627,218 @@ export const clearCartController = expressAsyncHandler(async (req, res) => {
 
   res.status(200).json({ message: "Cart cleared successfully" });
 });
+
+/**
+ * Shipping methods available for the cart to an address, with what each costs
+ */
+export const getShippingQuoteController = expressAsyncHandler(async (req, res) => {
+  const sessionId = resolveSessionId(req);
+  const { success, data, error } = await shippingQuoteSchema.safeParseAsync(req.body);
+  if (!success) {
+    throw new HttpError(400, formatZodErrorToString(error));
+  }
+
+  const cart = await Cart.findOne({ sessionId, status: { $in: ["active", "abandoned"] } });
+  if (!cart || cart.items.length === 0) {
+    throw new HttpError(404, "Cart not found or empty");
+  }
+
+  // Priced exactly as the order will be for this address
+  const couponDiscount = cart.coupon
+    ? await evaluateCoupon(cart.coupon, cart.items, { email: cart.email }).catch((error) => {
+        // A coupon that no longer applies is left off the quote
+        if (error instanceof HttpError) return null;
+        throw error;
+      })
+    : null;
+  const totals = await calculateTotals(cart.items, data.address, couponDiscount?.lineDiscounts);
+  const methods = await quoteShipping(
+    cart.items,
+    data.address,
+    totals.total,
+    couponDiscount?.freeShipping
+  );
+
+  res.status(200).json({
+    totals: {
+      subtotal: totals.subtotal,
+      discount: totals.discount,
+      tax: totals.tax,
+      total: totals.total,
+      pricesIncludeTax: totals.pricesIncludeTax,
+    },
+    methods,
+  });
+});
+
+/**
+ * Leave an email on the cart so an abandoned cart can be followed up
+ */
+export const setCartEmailController = expressAsyncHandler(async (req, res) => {
+  const sessionId = resolveSessionId(req);
+  const { success, data, error } = await cartEmailSchema.safeParseAsync(req.body);
+  if (!success) {
+    throw new HttpError(400, formatZodErrorToString(error));
+  }
+
+  const cart = await Cart.findOneAndUpdate(
+    { sessionId, status: { $in: ["active", "abandoned"] } },
+    { email: data.email },
+    { new: true }
+  );
+  if (!cart) {
+    throw new HttpError(404, "Cart not found");
+  }
+
+  res.status(200).json({ email: cart.email });
+});
+
+/**
+ * Recovery email link: carry an abandoned cart's items into the shopper's
+ * current cart, or a new one, and send them back to the shop
+ */
+export const restoreCartController = expressAsyncHandler(async (req, res) => {
+  const cartId = verifyRestoreToken(req.params.token);
+  if (!cartId) {
+    throw new HttpError(400, "This link is invalid or has expired");
+  }
+
+  const abandonedCart = await Cart.findById(cartId);
+  if (!abandonedCart) {
+    throw new HttpError(404, "Cart not found");
+  }
+
+  // A link that was already used just goes to the shop
+  if (["abandoned", "expired"].includes(abandonedCart.status)) {
+    const currentSessionId = getCartSessionId(req);
+    let cart =
+      currentSessionId &&
+      (await Cart.findOne({ sessionId: currentSessionId, status: "active" }));
+    if (!cart) {
+      cart = await Cart.create({
+        sessionId: mintCartSessionId(),
+        email: abandonedCart.email,
+        items: [],
+        status: "active",
+      });
+    }
+
+    await mergeCarts(abandonedCart, cart);
+    await Cart.findByIdAndUpdate(abandonedCart._id, {
+      "abandonment.recoveredAt": new Date(),
+      "recovery.restoredAt": new Date(),
+    });
+
+    setCartSessionCookie(res, cart.sessionId);
+  }
+
+  res.redirect("/shop");
+});
+
+/**
+ * Recovery email link: stop sending cart recovery emails to this address
+ */
+export const unsubscribeCartRecoveryController = expressAsyncHandler(async (req, res) => {
+  const email = verifyUnsubscribeToken(req.params.token);
+  if (!email) {
+    throw new HttpError(400, "This link is invalid");
+  }
+
+  await unsubscribeFromCartRecovery(email);
+
+  res.status(200).json({ message: `${email} will no longer receive cart reminders` });
+});
+
+/**
+ * Apply a coupon code to the shopper's cart, replacing any coupon already on it
+ */
+export const applyCartCouponController = expressAsyncHandler(async (req, res) => {
+  const sessionId = resolveSessionId(req);
+  const { success, data, error } = await cartCouponSchema.safeParseAsync(req.body);
+  if (!success) {
+    throw new HttpError(400, formatZodErrorToString(error));
+  }
+
+  const cart = await Cart.findOne({ sessionId, status: "active" });
+  if (!cart) {
+    throw new HttpError(404, "Cart not found");
+  }
+
+  // Throws with the reason when the code cannot be used on this cart
+  const { coupon } = await evaluateCoupon(data.code, cart.items, { email: cart.email });
+
+  cart.coupon = coupon.code;
+  cart.totals = await calculateCartTotals(cart);
+  cart.updatedAt = new Date();
+  await cart.save();
+
+  await cart.populate({
+    path: "items.product",
+    select: "name price images inventory",
+  });
+
+  res.status(200).json(cart);
+});
+
+/**
+ * Take the coupon off the shopper's cart
+ */
+export const removeCartCouponController = expressAsyncHandler(async (req, res) => {
+  const sessionId = resolveSessionId(req);
+
+  const cart = await Cart.findOne({ sessionId, status: "active" });
+  if (!cart) {
+    throw new HttpError(404, "Cart not found");
+  }
+
+  cart.coupon = undefined;
+  cart.totals = await calculateCartTotals(cart);
+  cart.updatedAt = new Date();
+  await cart.save();
+
+  await cart.populate({
+    path: "items.product",
+    select: "name price images inventory",
+  });
+
+  res.status(200).json(cart);
+});
+
+/**
+ * Accept the price changes flagged on the shopper's cart so it can be checked
+ * out. The shopper sends back the new prices they were shown
+ */
+export const acknowledgePriceChangesController = expressAsyncHandler(async (req, res) => {
+  const { success, data, error } = await priceAcknowledgementSchema.safeParseAsync(req.body);
+  if (!success) {
+    throw new HttpError(400, formatZodErrorToString(error));
+  }
+
+  const sessionId = resolveSessionId(req);
+
+  const cart = await Cart.findOne({ sessionId, status: "active" });
+  if (!cart) {
+    throw new HttpError(404, "Cart not found");
+  }
+
+  await repriceCart(cart);
+  const unseen = acknowledgePriceChanges(cart, data.prices);
+  cart.totals = await calculateCartTotals(cart);
+  cart.updatedAt = new Date();
+  await cart.save();
+
+  if (unseen.length) {
+    throw new HttpError(
+      409,
+      "Some prices in your cart have changed again. Please review them and accept the new prices",
+      { priceChanges: getPriceChanges(cart), totals: cart.totals }
+    );
+  }
+
+  await cart.populate({
+    path: "items.product",
+    select: "name price images inventory",
+  });
+
+  res.status(200).json(cart);
+});
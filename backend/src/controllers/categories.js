@@ -1,6 +1,8 @@
 import { asyncHandler as expressAsyncHandler, HttpError } from "../utils.js";
 import mongoose from "mongoose";
 import models from "../models/index.js";
+import { getTaxClasses } from "../services/tax.js";
+import { invalidateSearchIndex } from "../services/search.js";
 
 /**
  * @typedef {Object} CategoryQuery
@@ -10,6 +12,118 @@ import models from "../models/index.js";
  * @property {"asc" | "desc"} [order] - Order type
  */
 
+/**
+ * Reject a tax class the rate table does not know
+ * @param {unknown} taxClass - Empty values are allowed and mean the standard class
+ */
+const assertTaxClass = (taxClass) => {
+  if (taxClass && !getTaxClasses().includes(String(taxClass))) {
+    throw new HttpError(400, `Tax class must be one of: ${getTaxClasses().join(", ")}`);
+  }
+};
+
+/**
+ * Walk up the parent chain of a category
+ * @param {{ _id: import("mongoose").Types.ObjectId, parent?: import("mongoose").Types.ObjectId }} category - Category to start from
+ * @returns {Promise<any[]>} Ancestors ordered from the root down to the direct parent
+ */
+export const getCategoryAncestors = async (category) => {
+  const ancestors = [];
+  const visited = new Set([category._id.toString()]);
+  let parentId = category.parent;
+
+  // Stop on a missing parent or a cycle left behind by bad data
+  while (parentId && !visited.has(parentId.toString())) {
+    visited.add(parentId.toString());
+    const parent = await models.Category.findById(parentId);
+    if (!parent) break;
+    ancestors.unshift(parent);
+    parentId = parent.parent;
+  }
+
+  return ancestors;
+};
+
+/**
+ * Collect the IDs of every category nested under a category
+ * @param {import("mongoose").Types.ObjectId} categoryId - Root of the subtree
+ * @returns {Promise<import("mongoose").Types.ObjectId[]>} Descendant IDs, excluding the root
+ */
+export const getCategoryDescendantIds = async (categoryId) => {
+  const descendants = [];
+  const visited = new Set([categoryId.toString()]);
+  let frontier = [categoryId];
+
+  while (frontier.length) {
+    const children = await models.Category.find({ parent: { $in: frontier } }).select("_id");
+    frontier = children
+      .map((child) => child._id)
+      .filter((id) => !visited.has(id.toString()));
+    frontier.forEach((id) => visited.add(id.toString()));
+    descendants.push(...frontier);
+  }
+
+  return descendants;
+};
+
+/**
+ * Get all categories nested under their parents
+ */
+export const getCategoryTreeController = expressAsyncHandler(async (req, res) => {
+  const { includeInactive } = req.query;
+
+  const categories = await models.Category.find(
+    includeInactive === "true" ? {} : { isActive: true }
+  )
+    .sort({ name: "asc" })
+    .lean();
+
+  const nodes = new Map(
+    categories.map((category) => [
+      category._id.toString(),
+      { ...category, children: [] },
+    ])
+  );
+
+  // Categories whose parent is missing (or filtered out) become roots
+  const tree = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      tree.push(node);
+    }
+  }
+
+  res.status(200).json(tree);
+});
+
+/**
+ * Get the ancestors of a category, ordered from the root down
+ */
+export const getCategoryAncestorsController = expressAsyncHandler(
+  async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new HttpError(400, "Invalid category ID");
+    }
+
+    const category = await models.Category.findById(id);
+
+    if (!category) {
+      throw new HttpError(404, "Category not found");
+    }
+
+    const ancestors = await getCategoryAncestors(category);
+
+    res.status(200).json(
+      ancestors.map(({ _id, name, slug }) => ({ _id, name, slug }))
+    );
+  }
+);
+
 /**
  * Get all categories with pagination and sorting
  */
@@ -66,10 +180,11 @@ export const createCategoryController = expressAsyncHandler(
   async (req, res) => {
     const body = Array.isArray(req.body) ? req.body : [req.body];
     const categories = [];
-    for (const { name, description, parent, image } of body) {
+    for (const { name, description, parent, image, taxClass } of body) {
       if (!name) {
         throw new HttpError(400, "Name is required");
       }
+      assertTaxClass(taxClass);
 
       // Generate slug from name
       const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
@@ -91,11 +206,15 @@ export const createCategoryController = expressAsyncHandler(
         description,
         parent,
         image,
+        taxClass,
         isActive: true,
       });
 
       categories.push(category);
     }
+
+    invalidateSearchIndex();
+
     res.status(201).json(categories);
   }
 );
@@ -106,7 +225,7 @@ export const createCategoryController = expressAsyncHandler(
 export const updateCategoryController = expressAsyncHandler(
   async (req, res) => {
     const { id } = req.params;
-    const { name, description, parent, image, isActive } = req.body;
+    const { name, description, parent, image, isActive, taxClass } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       throw new HttpError(400, "Invalid category ID");
@@ -118,8 +237,10 @@ export const updateCategoryController = expressAsyncHandler(
       throw new HttpError(404, "Category not found");
     }
 
+    assertTaxClass(taxClass);
+
     // If name is being updated, update slug and check for duplicates
-    if (name && name !== models.category.name) {
+    if (name && name !== category.name) {
       const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
       const existingCategory = await models.Category.findOne({
         slug,
@@ -130,7 +251,7 @@ export const updateCategoryController = expressAsyncHandler(
         throw new HttpError(400, "Category with this name already exists");
       }
 
-      models.category.slug = slug;
+      category.slug = slug;
     }
 
     // Validate parent category if provided
@@ -149,16 +270,31 @@ export const updateCategoryController = expressAsyncHandler(
       if (!parentCategory) {
         throw new HttpError(404, "Parent category not found");
       }
+
+      // Prevent cycles by refusing a parent that sits below this category
+      const parentAncestors = await getCategoryAncestors(parentCategory);
+      if (parentAncestors.some((ancestor) => ancestor._id.toString() === id)) {
+        throw new HttpError(
+          400,
+          "Category cannot be moved under one of its own descendants"
+        );
+      }
     }
 
-    models.category.name = name || models.category.name;
-    models.category.description = description || models.category.description;
-    models.category.parent = parent || models.category.parent;
-    models.category.image = image || models.category.image;
-    models.category.isActive =
-      isActive !== undefined ? isActive : models.category.isActive;
+    category.name = name || category.name;
+    category.description = description || category.description;
+    category.parent = parent || category.parent;
+    category.image = image || category.image;
+    category.isActive =
+      isActive !== undefined ? isActive : category.isActive;
+    // An empty tax class puts the category back on the standard rate
+    if (taxClass !== undefined) {
+      category.taxClass = taxClass || undefined;
+    }
+
+    const updatedCategory = await category.save();
 
-    const updatedCategory = await models.category.save();
+    invalidateSearchIndex();
 
     res.status(200).json(updatedCategory);
   }
@@ -201,7 +337,9 @@ export const deleteCategoryController = expressAsyncHandler(
       );
     }
 
-    await models.category.deleteOne();
+    await category.deleteOne();
+
+    invalidateSearchIndex();
 
     res.status(200).json({ message: "Category deleted successfully" });
   }
@@ -0,0 +1,106 @@
+import { Coupon } from "../models/index.js";
+import { asyncHandler, formatZodErrorToString, HttpError } from "../utils.js";
+import { couponSchema } from "../zodSchema.js";
+
+/**
+ * Fields of a coupon an admin can edit, in the shape the coupon schema takes
+ * @param {any} coupon - Coupon document
+ */
+const toEditableCoupon = (coupon) => ({
+  code: coupon.code,
+  description: coupon.description,
+  type: coupon.type,
+  value: coupon.value,
+  maxDiscount: coupon.maxDiscount,
+  minSubtotal: coupon.minSubtotal,
+  products: coupon.products.map(String),
+  categories: coupon.categories.map(String),
+  startsAt: coupon.startsAt,
+  endsAt: coupon.endsAt,
+  usageLimit: coupon.usageLimit,
+  usageLimitPerCustomer: coupon.usageLimitPerCustomer,
+  isActive: coupon.isActive,
+});
+
+/**
+ * List coupons, newest first
+ */
+export const getCouponsController = asyncHandler(async (req, res) => {
+  const { active, page = 1, limit = 20 } = req.query;
+
+  const query = active === undefined ? {} : { isActive: active === "true" };
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const coupons = await Coupon.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(Number(limit));
+
+  const total = await Coupon.countDocuments(query);
+
+  res.status(200).json({
+    coupons,
+    currentPage: Number(page),
+    totalPages: Math.ceil(total / Number(limit)),
+    total,
+  });
+});
+
+/**
+ * Create a coupon
+ */
+export const createCouponController = asyncHandler(async (req, res) => {
+  const { success, data, error } = await couponSchema.safeParseAsync(req.body);
+  if (!success) {
+    throw new HttpError(400, formatZodErrorToString(error));
+  }
+
+  if (await Coupon.exists({ code: data.code })) {
+    throw new HttpError(400, `Coupon ${data.code} already exists`);
+  }
+
+  // @ts-ignore
+  const coupon = await Coupon.create({ ...data, createdBy: req.user.id });
+
+  res.status(201).json(coupon);
+});
+
+/**
+ * Update a coupon; fields left out keep their current values
+ */
+export const updateCouponController = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) {
+    throw new HttpError(404, "Coupon not found");
+  }
+
+  // Validate the coupon as it will be, so rules across fields still hold
+  const { success, data, error } = await couponSchema.safeParseAsync({
+    ...toEditableCoupon(coupon),
+    ...req.body,
+  });
+  if (!success) {
+    throw new HttpError(400, formatZodErrorToString(error));
+  }
+
+  if (data.code !== coupon.code && (await Coupon.exists({ code: data.code }))) {
+    throw new HttpError(400, `Coupon ${data.code} already exists`);
+  }
+
+  coupon.set({ ...data, updatedAt: new Date() });
+  await coupon.save();
+
+  res.status(200).json(coupon);
+});
+
+/**
+ * Delete a coupon; orders that used it keep their discount
+ */
+export const deleteCouponController = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findByIdAndDelete(req.params.id);
+  if (!coupon) {
+    throw new HttpError(404, "Coupon not found");
+  }
+
+  res.status(200).json({ message: `Coupon ${coupon.code} deleted` });
+});
@@ -0,0 +1,24 @@
+import { Order } from "../models/index.js";
+import { asyncHandler, HttpError } from "../utils.js";
+import { findCustomerByEmail } from "../services/customers.js";
+
+/**
+ * Look up a customer by email, with a summary of their orders
+ */
+export const getCustomerByEmailController = asyncHandler(async (req, res) => {
+  const email = String(req.query.email || "");
+  if (!email) {
+    throw new HttpError(400, "Email is required");
+  }
+
+  const customer = await findCustomerByEmail(email);
+  if (!customer) {
+    throw new HttpError(404, `No customer found with email: ${email}`);
+  }
+
+  const orders = await Order.find({ customer: customer._id })
+    .sort({ createdAt: -1 })
+    .select("orderNumber status paymentStatus total createdAt");
+
+  res.status(200).json({ customer, orders });
+});
@@ -1,22 +1,35 @@
-import { asyncHandler, HttpError } from "../utils.js";
-import { Cart, Order } from "../models/index.js";
+import { asyncHandler, formatZodErrorToString, HttpError } from "../utils.js";
+import { Cart, Order, ORDER_STATUSES, PAYMENT_STATUSES, REFUND_STATUSES } from "../models/index.js";
+import { releaseStock, reserveStock } from "../services/inventory.js";
+import { getPaymentProvider, initializeOrderPayment, settleOrderPayment } from "../services/payments/index.js";
+import { getNextStatuses, getRefundableAmount, refundOrder, transitionOrder } from "../services/orderState.js";
+import { createWithOrderNumber } from "../services/orderNumbers.js";
+import { findCustomerByEmail, upsertCustomer } from "../services/customers.js";
+import { clearCartSessionCookie, getCartSessionId } from "../services/cartSession.js";
+import { calculateTotals } from "../services/tax.js";
+import { priceShipping } from "../services/shipping.js";
+import { claimCouponUse, evaluateCoupon, returnCouponUse } from "../services/coupons.js";
+import { calculateCartTotals, getPriceChanges, repriceCart } from "../services/cartPricing.js";
+import { isCartExpired, reviveAbandonedCart } from "../services/cartSweeper.js";
+import { checkoutSchema, orderListQuerySchema } from "../zodSchema.js";
+import { isOrderEmail, signOrderLookupToken, toCustomerOrder, verifyOrderLookupToken } from "../services/orderLookup.js";
 
 // Create a new order
 export const createOrderController = asyncHandler(async (req, res) => {
     try {
-        const { sessionId, customer, paymentMethod, shipping } = req.body;
-
-        // Validate required fields
-        if (!sessionId || !customer || !paymentMethod || !shipping) {
-            res.status(400).json({
-                error: 'Missing required fields',
-                message: 'Please provide sessionId, customer details, payment method, and shipping information'
-            });
-            return;
+        // Validate checkout details
+        const { success, data: checkout, error } = await checkoutSchema.safeParseAsync(req.body);
+        if (!success) {
+            throw new HttpError(400, formatZodErrorToString(error));
         }
+        const { customer, paymentMethod, shipping } = checkout;
+        const sessionId = getCartSessionId(req);
+
+        // Make sure the shopper can actually pay this way before holding any stock
+        getPaymentProvider(paymentMethod);
 
         // Get cart data
-        const cart = await Cart.findOne({ sessionId });
+        const cart = sessionId && await Cart.findOne({ sessionId });
         if (!cart || cart.items.length === 0) {
              res.status(404).json({
                 error: 'Cart not found or empty',
@@ -26,41 +39,200 @@ export const createOrderController = asyncHandler(async (req, res) => {
             return;
         }
 
-        // Calculate totals
-        const subtotal = cart.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-        const tax = subtotal * 0.09; // Assuming 9% tax rate
-        const total = subtotal + tax + shipping.cost;
+        if (isCartExpired(cart)) {
+            cart.status = 'expired';
+            await cart.save();
+            throw new HttpError(404, 'Cart has expired');
+        }
+
+        // A shopper coming back to an abandoned cart picks it up again
+        reviveAbandonedCart(cart);
+
+        // Merged, expired and converted carts cannot be checked out again
+        if (cart.status !== 'active') {
+            throw new HttpError(404, 'Cart is no longer active');
+        }
+
+        // Charge today's prices, but never a total the shopper has not seen
+        if (await repriceCart(cart)) {
+            cart.totals = await calculateCartTotals(cart);
+            cart.updatedAt = new Date();
+            await cart.save();
+        }
+        const priceChanges = getPriceChanges(cart);
+        if (priceChanges.length) {
+            throw new HttpError(
+                409,
+                'Some prices in your cart have changed. Please review and accept them before placing your order',
+                { priceChanges, totals: cart.totals }
+            );
+        }
+
+        // The cart's coupon may have expired or run out since it was applied
+        const couponDiscount = cart.coupon
+            ? await evaluateCoupon(cart.coupon, cart.items, { email: customer.email })
+            : null;
+
+        // Calculate totals the same way the cart does, taxed for where the order ships
+        const { subtotal, discount, tax, total: itemsTotal, pricesIncludeTax, breakdown } =
+            await calculateTotals(cart.items, customer.shippingAddress, couponDiscount?.lineDiscounts);
+        // Never trust a shipping cost from the client
+        const shippingQuote = await priceShipping(
+            cart.items,
+            customer.shippingAddress,
+            itemsTotal,
+            shipping.method,
+            couponDiscount?.freeShipping
+        );
+        const total = itemsTotal + shippingQuote.cost;
+
+        // Returning shoppers are matched by email and their details refreshed
+        const customerRecord = await upsertCustomer(customer);
+
+        // Hold the coupon and the stock until the order is paid for or cancelled
+        const redemption = couponDiscount
+            ? await claimCouponUse(couponDiscount.coupon, customerRecord._id)
+            : null;
+        try {
+            await reserveStock(cart.items);
+        } catch (error) {
+            if (redemption) await returnCouponUse(couponDiscount.coupon._id, redemption._id);
+            throw error;
+        }
 
         // Create order
-        const order = await Order.create({
-            orderNumber: `ORD-${Date.now()}`, // Simple order number generation
-            customer,
-            items: cart.items,
-            subtotal,
-            tax,
-            shipping,
-            total,
-            status: 'pending',
-            paymentStatus: 'pending',
-            paymentMethod
-        });
+        let order;
+        try {
+            order = await createWithOrderNumber((orderNumber) => Order.create({
+                orderNumber,
+                customer: customerRecord._id,
+                contact: {
+                    email: customer.email,
+                    firstName: customer.firstName,
+                    lastName: customer.lastName,
+                    phoneNumber: customer.phoneNumber
+                },
+                shippingAddress: customer.shippingAddress,
+                billingAddress: customer.billingAddress,
+                items: cart.items,
+                subtotal,
+                tax,
+                pricesIncludeTax,
+                taxBreakdown: breakdown,
+                shipping: {
+                    method: shippingQuote.code,
+                    name: shippingQuote.name,
+                    cost: shippingQuote.cost
+                },
+                discount: couponDiscount ? {
+                    coupon: couponDiscount.coupon._id,
+                    redemption: redemption._id,
+                    code: couponDiscount.coupon.code,
+                    amount: discount,
+                    freeShipping: couponDiscount.freeShipping
+                } : undefined,
+                total,
+                status: 'pending',
+                paymentStatus: 'pending',
+                paymentMethod,
+                stockStatus: 'reserved'
+            }));
+        } catch (error) {
+            // Give the coupon back even if the stock cannot be released
+            try {
+                await releaseStock(cart.items);
+            } finally {
+                if (redemption) await returnCouponUse(couponDiscount.coupon._id, redemption._id);
+            }
+            throw error;
+        }
+
+        // Hand the shopper over to the payment provider
+        try {
+            await initializeOrderPayment(order, customer.email);
+            await order.save();
+        } catch (error) {
+            await transitionOrder(order, 'paymentStatus', 'failed', {
+                actor: 'system',
+                reason: `Unable to start payment: ${error.message}`
+            });
+            throw new HttpError(502, `Unable to start payment: ${error.message}`);
+        }
 
         // Clear the cart after successful order creation
         await Cart.findOneAndDelete({ sessionId });
+        clearCartSessionCookie(res);
 
-        res.status(201).json(order);
+        // The lookup token lets the shopper check on the order later without an account
+        res.status(201).json({ ...order.toObject(), lookupToken: signOrderLookupToken(order.orderNumber) });
     } catch (error) {
+        if (error instanceof HttpError) throw error;
         res.status(500).json({
             error: 'Failed to create order',
             message: error.message
         });
     }
 })
-// Get order by order number
-export const getOrderByNumberController = asyncHandler(async (req, res) => {
+// List orders for staff, newest first
+export const getOrdersController = asyncHandler(async (req, res) => {
+    const { success, data, error } = await orderListQuerySchema.safeParseAsync(req.query);
+    if (!success) {
+        throw new HttpError(400, formatZodErrorToString(error));
+    }
+    const { status, paymentStatus, from, to, email, minTotal, maxTotal, page = 1, limit = 20 } = data;
+
+    /** @type {Record<string, any>} */
+    const query = {};
+
+    if (status) query.status = status;
+    if (paymentStatus) query.paymentStatus = paymentStatus;
+
+    // Date range filter
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = from;
+        if (to) query.createdAt.$lte = to;
+    }
+
+    // Total range filter
+    if (minTotal != null || maxTotal != null) {
+        query.total = {};
+        if (minTotal != null) query.total.$gte = minTotal;
+        if (maxTotal != null) query.total.$lte = maxTotal;
+    }
+
+    // Orders point at customer records, so match the email there first
+    if (email) {
+        const customer = await findCustomerByEmail(email);
+        query.customer = customer?._id ?? null;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const orders = await Order.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('customer', 'email firstName lastName phoneNumber');
+
+    const total = await Order.countDocuments(query);
+
+    res.status(200).json({
+        orders,
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total,
+    });
+});
+
+// Get an order for staff, with everything on it
+export const getAdminOrderController = asyncHandler(async (req, res) => {
     const { orderNumber } = req.params;
 
-    const order = await Order.findOne({ orderNumber });
+    const order = await Order.findOne({ orderNumber })
+        .populate('customer')
+        .populate('history.changedBy', 'email role')
+        .populate('refunds.requestedBy', 'email role');
     if (!order) {
         throw new HttpError(404, `No order found with order number: ${orderNumber}`);
     }
@@ -68,15 +240,39 @@ export const getOrderByNumberController = asyncHandler(async (req, res) => {
     res.status(200).json(order);
 });
 
+// Get order by order number for the customer who placed it
+export const getOrderByNumberController = asyncHandler(async (req, res) => {
+    const { orderNumber } = req.params;
+    const { email, token } = req.query;
+
+    if (!email && !token) {
+        throw new HttpError(400, 'Provide the email used at checkout or an order lookup token');
+    }
+
+    // Numbers handed out before sequential numbering still find their order
+    const order = await Order.findOne({
+        $or: [{ orderNumber }, { legacyOrderNumber: orderNumber }]
+    });
+
+    // Same answer for a wrong number and a wrong email, so order numbers cannot be probed
+    const authorized = order && (token
+        ? verifyOrderLookupToken(String(token), order.orderNumber)
+        : isOrderEmail(String(email), order.contact?.email));
+    if (!authorized) {
+        throw new HttpError(404, `No order found with order number: ${orderNumber}`);
+    }
+
+    res.status(200).json(toCustomerOrder(order));
+});
+
 // Update order status
 export const updateOrderStatusController = asyncHandler(async (req, res) => {
     const { orderNumber } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     // Validate status
-    const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
-    if (!status || !validStatuses.includes(status)) {
-        throw new HttpError(400, `Order status must be one of: ${validStatuses.join(', ')}`);
+    if (!status || !ORDER_STATUSES.includes(status)) {
+        throw new HttpError(400, `Order status must be one of: ${ORDER_STATUSES.join(', ')}`);
     }
 
     const order = await Order.findOne({ orderNumber });
@@ -84,25 +280,25 @@ export const updateOrderStatusController = asyncHandler(async (req, res) => {
         throw new HttpError(404, `No order found with order number: ${orderNumber}`);
     }
 
-    // Update status
-    order.status = status;
-    if (status === 'cancelled' && order.paymentStatus === 'paid') {
-        order.paymentStatus = 'pending';
-    }
-
-    await order.save();
+    // Update status, refunding and restocking on cancellation
+    // @ts-ignore
+    await transitionOrder(order, 'status', status, { changedBy: req.user?._id, reason });
     res.status(200).json(order);
 });
 
 // Update payment status
 export const updatePaymentStatusController = asyncHandler(async (req, res) => {
     const { orderNumber } = req.params;
-    const { paymentStatus } = req.body;
+    const { paymentStatus, reason } = req.body;
 
     // Validate payment status
-    const validPaymentStatuses = ['pending', 'processing', 'paid', 'failed', 'refunded', 'refund_pending'];
-    if (!paymentStatus || !validPaymentStatuses.includes(paymentStatus)) {
-        throw new HttpError(400, `Payment status must be one of: ${validPaymentStatuses.join(', ')}`);
+    if (!paymentStatus || !PAYMENT_STATUSES.includes(paymentStatus)) {
+        throw new HttpError(400, `Payment status must be one of: ${PAYMENT_STATUSES.join(', ')}`);
+    }
+
+    // Refund statuses follow the refunds recorded on the order
+    if (['refund_pending', 'partially_refunded', 'refunded'].includes(paymentStatus)) {
+        throw new HttpError(400, `Use POST /orders/${orderNumber}/refunds to refund a payment`);
     }
 
     const order = await Order.findOne({ orderNumber });
@@ -110,12 +306,75 @@ export const updatePaymentStatusController = asyncHandler(async (req, res) => {
         throw new HttpError(404, `No order found with order number: ${orderNumber}`);
     }
 
-    // Update payment status
-    order.paymentStatus = paymentStatus;
-    if (paymentStatus === 'paid' && order.status === 'pending') {
-        order.status = 'processing';
+    // Paid and failed can only come from the payment provider, so confirm with it first
+    if (paymentStatus === 'paid' || paymentStatus === 'failed') {
+        if (!order.payment?.reference) {
+            throw new HttpError(409, 'Order has no payment to verify');
+        }
+
+        const provider = getPaymentProvider(order.payment.provider);
+        const verification = await provider.verifyPayment(order.payment.reference);
+        if (verification.status !== paymentStatus) {
+            throw new HttpError(409, `Payment provider reports this payment as ${verification.status}`);
+        }
+
+        await settleOrderPayment(order, verification);
+        res.status(200).json(order);
+        return;
     }
 
-    await order.save();
+    // Update payment status
+    // @ts-ignore
+    await transitionOrder(order, 'paymentStatus', paymentStatus, { changedBy: req.user?._id, reason });
     res.status(200).json(order);
-});
\ No newline at end of file
+});
+
+// Refund part or all of an order's payment
+export const createRefundController = asyncHandler(async (req, res) => {
+    const { orderNumber } = req.params;
+    const { amount, reason } = req.body;
+
+    if (amount !== undefined && !(typeof amount === 'number' && amount > 0)) {
+        throw new HttpError(400, 'Refund amount must be a positive number');
+    }
+    if (!reason) {
+        throw new HttpError(400, 'Refund reason is required');
+    }
+
+    const order = await Order.findOne({ orderNumber });
+    if (!order) {
+        throw new HttpError(404, `No order found with order number: ${orderNumber}`);
+    }
+
+    // Leaving the amount out refunds whatever has not been refunded yet
+    // @ts-ignore
+    await refundOrder(order, amount, { changedBy: req.user?._id, reason });
+    res.status(201).json(order);
+});
+
+// Statuses an order can be in, and the moves open to a given order, for admin screens
+export const getOrderStatusOptionsController = asyncHandler(async (req, res) => {
+    const options = {
+        statuses: ORDER_STATUSES,
+        paymentStatuses: PAYMENT_STATUSES,
+        refundStatuses: REFUND_STATUSES,
+    };
+
+    const { orderNumber } = req.query;
+    if (!orderNumber) {
+        res.status(200).json(options);
+        return;
+    }
+
+    const order = await Order.findOne({ orderNumber });
+    if (!order) {
+        throw new HttpError(404, `No order found with order number: ${orderNumber}`);
+    }
+
+    res.status(200).json({
+        ...options,
+        nextStatuses: getNextStatuses('status', order.status),
+        nextPaymentStatuses: getNextStatuses('paymentStatus', order.paymentStatus),
+        refundableAmount: getRefundableAmount(order),
+    });
+});
@@ -0,0 +1,151 @@
+import { Order, PaymentEvent } from "../models/index.js";
+import { asyncHandler, HttpError } from "../utils.js";
+import { getPaymentProvider, settleOrderPayment } from "../services/payments/index.js";
+import { settleOrderRefund } from "../services/orderState.js";
+import { completeMockPayment } from "../services/payments/mock.js";
+
+/**
+ * Find the order a payment reference belongs to
+ * @param {string} reference - Payment reference
+ */
+const findOrderByPaymentReference = async (reference) => {
+  if (!reference) {
+    throw new HttpError(400, "Payment reference is required");
+  }
+
+  const order = await Order.findOne({ "payment.reference": reference });
+  if (!order) {
+    throw new HttpError(404, `No order found for payment reference: ${reference}`);
+  }
+  return order;
+};
+
+/**
+ * Provider callback: confirm the payment with the provider and settle the order
+ */
+export const verifyPaymentController = asyncHandler(async (req, res) => {
+  const order = await findOrderByPaymentReference(String(req.query.reference || ""));
+
+  const provider = getPaymentProvider(order.payment.provider);
+  const verification = await provider.verifyPayment(order.payment.reference);
+  await settleOrderPayment(order, verification);
+
+  res.status(200).json({
+    orderNumber: order.orderNumber,
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+  });
+});
+
+/**
+ * Provider webhook: check the signature over the raw body, record the event and
+ * settle the order; redeliveries of an already processed event are ignored, and
+ * events other than charges and refunds are recorded without an order
+ */
+export const paymentWebhookController = asyncHandler(async (req, res) => {
+  const provider = getPaymentProvider(req.params.provider);
+
+  // @ts-ignore
+  const rawBody = req.rawBody;
+  if (!rawBody) {
+    throw new HttpError(400, "Webhook body is required");
+  }
+
+  const event = provider.parseWebhook(rawBody, req.headers);
+
+  let record;
+  try {
+    record = await PaymentEvent.findOneAndUpdate(
+      { provider: provider.name, eventId: event.id },
+      {
+        $setOnInsert: {
+          type: event.type,
+          kind: event.kind,
+          reference: event.reference,
+          status: event.status,
+          amount: event.amount,
+          payload: req.body,
+        },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // A concurrent delivery of the same event won the insert
+    if (error.code !== 11000) throw error;
+    record = null;
+  }
+
+  if (!record || record.processedAt) {
+    res.status(200).json({ received: true, duplicate: true });
+    return;
+  }
+
+  // Events we do not act on are only recorded, so the provider stops sending them
+  if (event.kind === "other") {
+    record.processedAt = new Date();
+    await record.save();
+    res.status(200).json({ received: true, duplicate: false });
+    return;
+  }
+
+  try {
+    const order = await Order.findOne({
+      "payment.provider": provider.name,
+      "payment.reference": event.reference,
+    });
+    if (!order) {
+      throw new HttpError(404, `No order found for payment reference: ${event.reference}`);
+    }
+
+    record.order = order._id;
+    if (event.kind === "charge") {
+      await settleOrderPayment(order, event);
+    } else if (event.kind === "refund") {
+      await settleOrderRefund(order, event);
+    }
+
+    record.processedAt = new Date();
+    record.error = undefined;
+    await record.save();
+  } catch (error) {
+    // Leave the event unprocessed so the provider's retry gets another go
+    record.error = error.message;
+    await record.save();
+    throw error;
+  }
+
+  res.status(200).json({ received: true, duplicate: false });
+});
+
+/**
+ * Hosted payment page of the mock provider
+ */
+export const mockCheckoutController = asyncHandler(async (req, res) => {
+  getPaymentProvider("mock");
+  const order = await findOrderByPaymentReference(req.params.reference);
+
+  res.render("mock-checkout", {
+    title: "Mock Payment",
+    showBreadCrumbs: true,
+    pageName: "Mock Payment",
+    pathName: "Mock Payment",
+    order,
+  });
+});
+
+/**
+ * Pay or decline on the mock payment page, then return through the normal callback
+ */
+export const completeMockPaymentController = asyncHandler(async (req, res) => {
+  getPaymentProvider("mock");
+  const { reference } = req.params;
+  const { status } = req.body;
+
+  if (!["paid", "failed"].includes(status)) {
+    throw new HttpError(400, "Status must be one of: paid, failed");
+  }
+
+  completeMockPayment(reference, status);
+
+  res.redirect(`/api/v1/payments/verify?reference=${encodeURIComponent(reference)}`);
+});
@@ -1,22 +1,214 @@
 import { asyncHandler as expressAsyncHandler, formatZodErrorToString, HttpError, isHtmxRequest } from "../utils.js";
 import mongoose from "mongoose";
 import { Product, Category } from "../models/index.js";
-import { productSchema } from "../zodSchema.js";
-import { hxGetProducts } from "../htmx-controller/products.js";
+import { inventoryUpdateSchema, productSchema, productUpdateSchema } from "../zodSchema.js";
+import { hxGetProducts, hxGetSearchSuggestions } from "../htmx-controller/products.js";
+import { getCategoryDescendantIds } from "./categories.js";
+import { findVariant, updateStockQuantity } from "../services/inventory.js";
+import { findProductIdsRatedAtLeast } from "./reviews.js";
+import {
+  getProductFacets,
+  inStockExpression,
+  invalidateSearchIndex,
+  searchProducts,
+  suggestSearch,
+  toProductFilter,
+} from "../services/search.js";
 
 /**
  * @typedef {Object} ProductQuery
- * @property {string} [search] - Search term for product name/description
- * @property {string} [sort] - Field to sort by
+ * @property {string} [search] - Search term, matched against name, description, brand, SKU and category names
+ * @property {string} [sort] - Field to sort by, or "relevance" (the default for searches)
  * @property {number} [page] - Page number
  * @property {number} [limit] - Items per page
  * @property {"asc" | "desc"} [order] - Sort order
  * @property {number} [minPrice] - Minimum price filter
  * @property {number} [maxPrice] - Maximum price filter
+ * @property {string | string[]} [categories] - Category slugs or IDs; products in any of them
+ * @property {string | string[]} [brand] - Brands, any of which matches
+ * @property {string | string[]} [attributes] - Variant attributes as "name:value", e.g. "size:250ml".
+ * Values of one attribute widen the match, different attributes narrow it, all on the same variant
+ * @property {number} [minRating] - Lowest average approved rating, from 1 to 5
+ * @property {string} [inStock] - "true" for products that can be bought now
+ * @property {string} [onSale] - "true" for products priced below their compare-at price
+ * @property {string} [includeDescendants] - "true" to include products from nested categories
  */
 
+// Query parameters that filter product listings, kept in sort and page links
+export const PRODUCT_FILTER_PARAMS = [
+  "categories",
+  "brand",
+  "attributes",
+  "minRating",
+  "inStock",
+  "onSale",
+  "minPrice",
+  "maxPrice",
+];
+
+// Most products a search box will suggest at once
+const MAX_SUGGESTIONS = 10;
+
+/**
+ * Read a query parameter that takes several values, repeated (`brand=a&brand=b`)
+ * or comma separated (`brand=a,b`)
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+const toList = (value) =>
+  [value]
+    .flat(Infinity)
+    .filter((item) => item != null)
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Match a string field whole, ignoring case
+ * @param {string} value
+ */
+const matchExactly = (value) =>
+  new RegExp(`^${value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i");
+
 /**
- * Get all products with filtering, search, and pagination
+ * Build a condition for each filter a listing was given, keyed by the filter
+ * so facets can leave out their own when counting
+ * @param {ProductQuery} query
+ * @returns {Promise<import("../services/search.js").FilterConditions>}
+ * @throws {HttpError} 400 when a filter value is malformed
+ */
+export const parseFilterConditions = async (query) => {
+  const {
+    categories,
+    brand,
+    attributes,
+    minRating,
+    inStock,
+    onSale,
+    minPrice,
+    maxPrice,
+    includeDescendants,
+  } = query;
+
+  /** @type {import("../services/search.js").FilterConditions} */
+  const conditions = {};
+
+  const categoryKeys = toList(categories);
+  if (categoryKeys.length) {
+    const found = await Category.find({
+      isActive: true,
+      $or: [
+        { slug: { $in: categoryKeys } },
+        { _id: { $in: categoryKeys.filter((key) => mongoose.Types.ObjectId.isValid(key)) } },
+      ],
+    }).select("_id");
+    const categoryIds = found.map((category) => category._id);
+    if (includeDescendants === "true") {
+      for (const category of found) {
+        categoryIds.push(...(await getCategoryDescendantIds(category._id)));
+      }
+    }
+    conditions.categories = { categories: { $in: categoryIds } };
+  }
+
+  const brands = toList(brand);
+  if (brands.length) {
+    conditions.brand = { brand: { $in: brands.map(matchExactly) } };
+  }
+
+  const attributeFilters = toList(attributes);
+  if (attributeFilters.length) {
+    /** @type {Map<string, string[]>} */
+    const valuesByName = new Map();
+    for (const attribute of attributeFilters) {
+      const separator = attribute.indexOf(":");
+      const name = attribute.slice(0, separator).trim().toLowerCase();
+      const value = attribute.slice(separator + 1).trim();
+      if (separator < 0 || !name || !value) {
+        throw new HttpError(400, `Attribute filter "${attribute}" must look like name:value`);
+      }
+      valuesByName.set(name, [...(valuesByName.get(name) ?? []), value]);
+    }
+    conditions.attributes = {
+      variants: {
+        $elemMatch: {
+          $and: [...valuesByName].map(([name, values]) => ({
+            attributes: {
+              $elemMatch: { name: matchExactly(name), value: { $in: values.map(matchExactly) } },
+            },
+          })),
+        },
+      },
+    };
+  }
+
+  if (minRating) {
+    const rating = Number(minRating);
+    if (!(rating >= 1 && rating <= 5)) {
+      throw new HttpError(400, "minRating must be a number from 1 to 5");
+    }
+    conditions.minRating = { _id: { $in: await findProductIdsRatedAtLeast(rating) } };
+  }
+
+  if (inStock === "true") {
+    conditions.inStock = { $expr: inStockExpression };
+  }
+
+  // Products without a compare-at price are never on sale
+  if (onSale === "true") {
+    conditions.onSale = { $expr: { $gt: ["$compareAtPrice", "$price"] } };
+  }
+
+  // Price range filter
+  if (minPrice || maxPrice) {
+    const price = {};
+    if (minPrice) price.$gte = Number(minPrice);
+    if (maxPrice) price.$lte = Number(maxPrice);
+    if (Object.values(price).some(Number.isNaN)) {
+      throw new HttpError(400, "minPrice and maxPrice must be numbers");
+    }
+    conditions.price = { price };
+  }
+
+  return conditions;
+};
+
+/**
+ * Build the product filter for a listing from its query parameters. Every
+ * filter given narrows the listing, and only active products are listed
+ * @param {ProductQuery} query
+ * @returns {Promise<Record<string, any>>} Filter for `Product.find`
+ * @throws {HttpError} 400 when a filter value is malformed
+ */
+export const parseProductFilters = async (query) =>
+  toProductFilter(await parseFilterConditions(query));
+
+/**
+ * Ensure product and variant SKUs are unique within the product and across the catalog
+ * @param {string | undefined} sku - Product SKU
+ * @param {{ sku?: string }[]} variants - Product variants
+ * @param {string} [productId] - Product being updated, excluded from the lookup
+ */
+const assertUniqueSkus = async (sku, variants = [], productId) => {
+  const skus = [sku, ...variants.map((variant) => variant.sku)].filter(Boolean);
+  const duplicate = skus.find((value, index) => skus.indexOf(value) !== index);
+  if (duplicate) {
+    throw new HttpError(400, `Duplicate SKU: ${duplicate}`);
+  }
+  if (!skus.length) return;
+
+  const existingProduct = await Product.findOne({
+    ...(productId && { _id: { $ne: productId } }),
+    $or: [{ sku: { $in: skus } }, { "variants.sku": { $in: skus } }],
+  });
+  if (existingProduct) {
+    throw new HttpError(400, `SKU already in use by ${existingProduct.name}`);
+  }
+};
+
+/**
+ * Get all products with filtering, search, and pagination. Searches are ranked
+ * by relevance unless another sort is asked for
  */
 export const getProductsController = expressAsyncHandler(async (req, res) => {
   /** @type {ProductQuery} */
@@ -24,47 +216,114 @@ export const getProductsController = expressAsyncHandler(async (req, res) => {
     search = "",
     page = 1,
     limit = 10,
-    sort = "createdAt",
+    sort = search ? "relevance" : "createdAt",
     order = "desc",
-    minPrice,
-    maxPrice,
   } = req.query;
 
-  const query = { isActive: true };
+  const conditions = await parseFilterConditions(req.query);
 
   // Search functionality
-  if (search) {
-    query.$or = [
-      { name: { $regex: search, $options: "i" } },
-      { description: { $regex: search, $options: "i" } },
-    ];
+  const hits = search ? await searchProducts(String(search)) : null;
+  if (hits) {
+    conditions.search = { _id: { $in: hits.map((hit) => hit.id) } };
   }
+  const query = toProductFilter(conditions);
 
-  // Price range filter
-  if (minPrice || maxPrice) {
-    query.price = {};
-    if (minPrice) query.price.$gte = Number(minPrice);
-    if (maxPrice) query.price.$lte = Number(maxPrice);
+  let data;
+  if (hits) {
+    data = await findSearchResults(hits, query, { page, limit, sort, order });
+  } else {
+    const skip = (Number(page) - 1) * Number(limit);
+    const products = await Product.find(query)
+      .sort({ [sort]: order })
+      .skip(skip)
+      .limit(Number(limit))
+      .populate("categories", "name");
+    const total = await Product.countDocuments(query);
+    data = {
+      products,
+      currentPage: Number(page),
+      totalPages: Math.ceil(total / Number(limit)),
+      total,
+    };
+  }
+  data.facets = await getProductFacets(conditions);
+
+  if (isHtmxRequest(req)) {
+    return hxGetProducts(req, res, data);
   }
+  res.status(200).json(data);
+});
+
+/**
+ * Get a page of the products a search found, in relevance order unless
+ * `query.sort` names a field
+ * @param {import("../services/search.js").SearchHit[]} hits - Search results, most relevant first
+ * @param {Record<string, any>} filter - Conditions the products must also meet
+ * @param {ProductQuery} query - Sorting and pagination options
+ */
+export const findSearchResults = async (hits, filter, query) => {
+  const {
+    page = 1,
+    limit = 10,
+    sort = "relevance",
+    order = "desc",
+  } = query;
 
+  const matchFilter = { ...filter, _id: { $in: hits.map((hit) => hit.id) } };
   const skip = (Number(page) - 1) * Number(limit);
 
-  const products = await Product.find(query)
-    .sort({ [sort]: order })
-    .skip(skip)
-    .limit(Number(limit))
-    .populate("categories", "name");
+  let products;
+  let total;
+  if (sort === "relevance") {
+    // Keep the search ranking: filter the hits, then load only the page shown
+    const matching = new Set(
+      (await Product.find(matchFilter).select("_id")).map((product) => product._id.toString())
+    );
+    const ranked = hits.filter((hit) => matching.has(hit.id));
+    const pageIds = ranked.slice(skip, skip + Number(limit)).map((hit) => hit.id);
+    const pageProducts = await Product.find({ _id: { $in: pageIds } }).populate(
+      "categories",
+      "name slug"
+    );
+    const productsById = new Map(
+      pageProducts.map((product) => [product._id.toString(), product])
+    );
 
-  const total = await Product.countDocuments(query);
-  const data = {
+    products = pageIds.map((id) => productsById.get(id)).filter(Boolean);
+    total = ranked.length;
+  } else {
+    products = await Product.find(matchFilter)
+      .sort({ [sort]: order })
+      .skip(skip)
+      .limit(Number(limit))
+      .populate("categories", "name slug");
+    total = await Product.countDocuments(matchFilter);
+  }
+
+  return {
     products,
     currentPage: Number(page),
     totalPages: Math.ceil(total / Number(limit)),
     total,
-  }
+  };
+};
+
+/**
+ * Suggest products and categories for what has been typed into a search box
+ */
+export const getSearchSuggestionsController = expressAsyncHandler(async (req, res) => {
+  const search = String(req.query.search ?? "");
+  const limit = Math.floor(Number(req.query.limit));
+  const data = {
+    search,
+    ...(await suggestSearch(search, {
+      products: limit >= 1 ? Math.min(limit, MAX_SUGGESTIONS) : undefined,
+    })),
+  };
 
   if (isHtmxRequest(req)) {
-    return hxGetProducts(req, res, data);
+    return hxGetSearchSuggestions(req, res, data);
   }
   res.status(200).json(data);
 });
@@ -93,6 +352,13 @@ export const getProductByIdController = expressAsyncHandler(
   }
 );
 
+/**
+ * Find a single product by slug with its categories populated
+ * @param {string} slug - Product slug
+ */
+export const findProductBySlug = (slug) =>
+  Product.findOne({ slug }).populate("categories", "name slug");
+
 /**
  * Get a single product by slug
  */
@@ -100,10 +366,7 @@ export const getProductBySlugController = expressAsyncHandler(
   async (req, res) => {
     const { slug } = req.params;
 
-    const product = await Product.findOne({ slug }).populate(
-      "categories",
-      "name slug"
-    );
+    const product = await findProductBySlug(slug);
 
     if (!product) {
       throw new HttpError(404, "Product not found");
@@ -113,19 +376,55 @@ export const getProductBySlugController = expressAsyncHandler(
   }
 );
 
+/**
+ * Get a page of active products belonging to any of the given categories
+ * @param {import("mongoose").Types.ObjectId[]} categoryIds - Categories to list
+ * @param {ProductQuery} query - Filters, sorting and pagination options
+ */
+export const findProductsByCategory = async (categoryIds, query) =>
+  findProducts(
+    { ...(await parseProductFilters(query)), categories: { $in: categoryIds } },
+    query
+  );
+
+/**
+ * Get a page of the products matching a filter
+ * @param {Record<string, any>} filter - Filter for `Product.find`
+ * @param {ProductQuery} query - Sorting and pagination options
+ */
+export const findProducts = async (filter, query) => {
+  const {
+    page = 1,
+    limit = 10,
+    sort = "createdAt",
+    order = "desc",
+  } = query;
+
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const products = await Product.find(filter)
+    .sort({ [sort]: order })
+    .skip(skip)
+    .limit(Number(limit))
+    .populate("categories", "name slug");
+
+  const total = await Product.countDocuments(filter);
+
+  return {
+    products,
+    currentPage: Number(page),
+    totalPages: Math.ceil(total / Number(limit)),
+    total,
+  };
+};
+
 /**
  * Get products by category
  */
 export const getProductsByCategoryController = expressAsyncHandler(
   async (req, res) => {
     const { categoryName } = req.params;
-    /** @type {ProductQuery} */
-    const {
-      page = 1,
-      limit = 10,
-      sort = "createdAt",
-      order = "desc",
-    } = req.query;
+    const { includeDescendants } = req.query;
 
     // Verify category exists
     const category = await Category.findOne({
@@ -136,27 +435,12 @@ export const getProductsByCategoryController = expressAsyncHandler(
       throw new HttpError(404, "Category not found");
     }
 
-    const skip = (Number(page) - 1) * Number(limit);
+    const categoryIds = [category._id];
+    if (includeDescendants === "true") {
+      categoryIds.push(...(await getCategoryDescendantIds(category._id)));
+    }
 
-    const products = await Product.find({
-      categories: category._id,
-      isActive: true,
-    })
-      .sort({ [sort]: order })
-      .skip(skip)
-      .limit(Number(limit))
-      .populate("categories", "name slug");
-
-    const total = await Product.countDocuments({
-      categories: category._id,
-      isActive: true,
-    });
-    const data = {
-      products,
-      currentPage: Number(page),
-      totalPages: Math.ceil(total / Number(limit)),
-      total,
-    };
+    const data = await findProductsByCategory(categoryIds, req.query);
 
     if (isHtmxRequest(req)) {
       return hxGetProducts(req, res, data);
@@ -189,6 +473,7 @@ export const createProductController = expressAsyncHandler(async (req, res) => {
     categories,
     brand,
     sku,
+    weight,
     inventory,
     variants,
     images,
@@ -204,6 +489,8 @@ export const createProductController = expressAsyncHandler(async (req, res) => {
     throw new HttpError(400, "Product with this name already exists");
   }
 
+  await assertUniqueSkus(sku, variants);
+
   // Validate categories
   if (categories) {
     for (const categoryId of categories) {
@@ -226,6 +513,7 @@ export const createProductController = expressAsyncHandler(async (req, res) => {
     categories,
     brand,
     sku,
+    weight,
     inventory,
     variants,
     images,
@@ -233,20 +521,77 @@ export const createProductController = expressAsyncHandler(async (req, res) => {
     isActive: true,
   });
 
+  invalidateSearchIndex();
+
   res.status(201).json(product);
 });
 
 /**
- * Update a product
+ * Match the variants sent in a product update to the product's current ones
+ * @param {any} product - Product document
+ * @param {any[]} variants - Variants from the update, by `_id` or else by SKU
+ * @returns {Promise<{ updated: { id: any, variant: any }[], added: any[], removed: any[] }>}
+ * Variants to change in place, to add, and the IDs of those to remove
+ * @throws {HttpError} 400 for an unknown or repeated variant, 409 when a variant
+ * to remove still has stock reserved or unfinished orders
+ */
+const planVariantChanges = async (product, variants) => {
+  const updated = [];
+  const added = [];
+  const kept = new Set();
+
+  for (const { _id, ...variant } of variants) {
+    const current = _id
+      ? findVariant(product, _id)
+      : variant.sku && product.variants.find((candidate) => candidate.sku === variant.sku);
+    if (_id && !current) {
+      throw new HttpError(400, `Variant not found: ${_id}`);
+    }
+    if (!current) {
+      added.push(variant);
+      continue;
+    }
+    if (kept.has(current._id.toString())) {
+      throw new HttpError(400, `Variant ${current.name} is listed more than once`);
+    }
+    kept.add(current._id.toString());
+    updated.push({ id: current._id, variant });
+  }
+
+  const removed = product.variants.filter((variant) => !kept.has(variant._id.toString()));
+  for (const variant of removed) {
+    const inOrders = await mongoose.model("Order").exists({
+      "items.variant": variant._id,
+      status: { $nin: ["delivered", "cancelled"] },
+    });
+    if (variant.inventory.reserved > 0 || inOrders) {
+      throw new HttpError(409, `Variant ${variant.name} is part of unfinished orders and cannot be removed`);
+    }
+  }
+
+  return { updated, added, removed: removed.map((variant) => variant._id) };
+};
+
+/**
+ * Update a product. Fields are set one by one, so stock reserved by checkouts
+ * while the update runs is never overwritten
  */
 export const updateProductController = expressAsyncHandler(async (req, res) => {
   const { id } = req.params;
-  const updates = req.body;
 
   if (!mongoose.Types.ObjectId.isValid(id)) {
     throw new HttpError(400, "Invalid product ID");
   }
 
+  const { success, data, error } = await productUpdateSchema.safeParseAsync(req.body);
+  if (!success) {
+    throw new HttpError(400, formatZodErrorToString(error));
+  }
+  const { inventory, variants, ...updates } = data;
+
+  /** @type {Record<string, any>} */
+  const $set = { ...updates, updatedAt: new Date() };
+
   const product = await Product.findById(id);
   if (!product) {
     throw new HttpError(404, "Product not found");
@@ -264,7 +609,15 @@ export const updateProductController = expressAsyncHandler(async (req, res) => {
       throw new HttpError(400, "Product with this name already exists");
     }
 
-    updates.slug = slug;
+    $set.slug = slug;
+  }
+
+  if (updates.sku || variants) {
+    await assertUniqueSkus(
+      updates.sku ?? product.sku,
+      variants ?? product.variants,
+      id
+    );
   }
 
   // Validate categories if being updated
@@ -280,11 +633,47 @@ export const updateProductController = expressAsyncHandler(async (req, res) => {
     }
   }
 
-  const updatedProduct = await Product.findByIdAndUpdate(
-    id,
-    { ...updates, updatedAt: Date.now() },
-    { new: true, runValidators: true }
-  ).populate("categories", "name slug");
+  const plan = variants ? await planVariantChanges(product, variants) : null;
+
+  // Remove first, and only variants nothing has been reserved from since the check
+  if (plan?.removed.length) {
+    await Product.updateOne(
+      { _id: id },
+      { $pull: { variants: { _id: { $in: plan.removed }, "inventory.reserved": { $lte: 0 } } } }
+    );
+    const stillThere = await Product.exists({ _id: id, "variants._id": { $in: plan.removed } });
+    if (stillThere) {
+      throw new HttpError(409, "A variant being removed was just reserved by a checkout; try again");
+    }
+  }
+
+  if (inventory?.quantity !== undefined) $set["inventory.quantity"] = inventory.quantity;
+  if (inventory?.status) $set["inventory.status"] = inventory.status;
+
+  const arrayFilters = [];
+  plan?.updated.forEach(({ id: variantId, variant }, index) => {
+    const { inventory: variantInventory, ...fields } = variant;
+    for (const [name, value] of Object.entries(fields)) {
+      $set[`variants.$[v${index}].${name}`] = value;
+    }
+    if (variantInventory?.quantity !== undefined) {
+      $set[`variants.$[v${index}].inventory.quantity`] = variantInventory.quantity;
+    }
+    arrayFilters.push({ [`v${index}._id`]: variantId });
+  });
+
+  await Product.updateOne({ _id: id }, { $set }, { arrayFilters, runValidators: true });
+  if (plan?.added.length) {
+    await Product.updateOne(
+      { _id: id },
+      { $push: { variants: { $each: plan.added } } },
+      { runValidators: true }
+    );
+  }
+
+  const updatedProduct = await Product.findById(id).populate("categories", "name slug");
+
+  invalidateSearchIndex();
 
   res.status(200).json(updatedProduct);
 });
@@ -316,43 +705,58 @@ export const deleteProductController = expressAsyncHandler(async (req, res) => {
 
   await product.deleteOne();
 
+  invalidateSearchIndex();
+
   res.status(200).json({ message: "Product deleted successfully" });
 });
 
 /**
- * Update product inventory
+ * Update product inventory, or the inventory of one of its variants. Counts are
+ * changed in place so checkouts reserving stock at the same time are not undone
  */
 export const updateProductInventoryController = expressAsyncHandler(
   async (req, res) => {
     const { id } = req.params;
-    const { quantity, reserved, status } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       throw new HttpError(400, "Invalid product ID");
     }
 
+    const { success, data, error } = await inventoryUpdateSchema.safeParseAsync(req.body);
+    if (!success) {
+      throw new HttpError(400, formatZodErrorToString(error));
+    }
+    const { quantity, adjustment, status, variantId } = data;
+
     const product = await Product.findById(id);
     if (!product) {
       throw new HttpError(404, "Product not found");
     }
+    if (variantId && !findVariant(product, variantId)) {
+      throw new HttpError(404, "Variant not found");
+    }
 
-    // Update inventory
-    product.inventory = {
-      quantity: quantity ?? product.inventory.quantity,
-      reserved: reserved ?? product.inventory.reserved,
-      status: status ?? product.inventory.status,
-    };
+    if (quantity !== undefined || adjustment !== undefined) {
+      await updateStockQuantity({ product: id, variant: variantId }, { quantity, adjustment });
+    }
 
-    // Automatically update status based on quantity if not explicitly set
-    if (!status) {
-      if (product.inventory.quantity <= 0) {
-        product.inventory.status = "out_of_stock";
+    if (!variantId) {
+      if (status) {
+        await Product.updateOne({ _id: id }, { "inventory.status": status });
       } else {
-        product.inventory.status = "in_stock";
+        // Automatically update status based on quantity if not explicitly set
+        await Product.updateOne(
+          { _id: id, "inventory.quantity": { $lte: 0 } },
+          { "inventory.status": "out_of_stock" }
+        );
+        await Product.updateOne(
+          { _id: id, "inventory.quantity": { $gt: 0 } },
+          { "inventory.status": "in_stock" }
+        );
       }
     }
 
-    const updatedProduct = await product.save();
+    const updatedProduct = await Product.findById(id);
 
     res.status(200).json(updatedProduct);
   }
@@ -0,0 +1,64 @@
+import { Cart } from "../models/index.js";
+import { asyncHandler, parseDateFilter } from "../utils.js";
+
+const DEFAULT_REPORT_DAYS = 30;
+const RECENT_CARTS_LIMIT = 20;
+
+/**
+ * Abandoned cart report: how many carts were abandoned in a period, what they
+ * were worth, how many shoppers came back, and a day-by-day breakdown
+ */
+export const getAbandonedCartReportController = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  const end = to ? parseDateFilter(String(to), "to") : new Date();
+  const start = from
+    ? parseDateFilter(String(from), "from")
+    : new Date(end.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+
+  const match = { "abandonment.abandonedAt": { $gte: start, $lte: end } };
+  const isRecovered = { $ifNull: ["$abandonment.recoveredAt", false] };
+
+  const [summary] = await Cart.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        carts: { $sum: 1 },
+        value: { $sum: "$abandonment.value" },
+        items: { $sum: "$abandonment.itemCount" },
+        recovered: { $sum: { $cond: [isRecovered, 1, 0] } },
+        recoveredValue: { $sum: { $cond: [isRecovered, "$abandonment.value", 0] } },
+      },
+    },
+    { $project: { _id: 0 } },
+  ]);
+
+  const daily = await Cart.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $dateToString: { format: "%Y-%m-%d", date: "$abandonment.abandonedAt" } },
+        carts: { $sum: 1 },
+        value: { $sum: "$abandonment.value" },
+        items: { $sum: "$abandonment.itemCount" },
+      },
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, date: "$_id", carts: 1, value: 1, items: 1 } },
+  ]);
+
+  const recentCarts = await Cart.find(match)
+    .sort({ "abandonment.abandonedAt": -1 })
+    .limit(RECENT_CARTS_LIMIT)
+    .select("status totals abandonment items")
+    .populate("items.product", "name");
+
+  res.status(200).json({
+    from: start,
+    to: end,
+    summary: summary ?? { carts: 0, value: 0, items: 0, recovered: 0, recoveredValue: 0 },
+    daily,
+    recentCarts,
+  });
+});
@@ -1,5 +1,6 @@
-import { Review, Product, Order } from "../models/index.js";
+import { Review, Product } from "../models/index.js";
 import { asyncHandler, HttpError } from "../utils.js";
+import { hasPurchasedProduct } from "../services/customers.js";
 
 /**
  * @typedef ReviewQuery
@@ -14,6 +15,41 @@ import { asyncHandler, HttpError } from "../utils.js";
  * @property {string} [helpful] - Helpful votes
  */
 
+/**
+ * Get the average approved rating and review count for each product
+ * @param {import('mongoose').Types.ObjectId[]} productIds - Products to rate
+ * @returns {Promise<Map<string, { average: number, count: number }>>} Ratings keyed by product ID
+ */
+const getProductRatings = async (productIds) => {
+    const results = await Review.aggregate([
+        { $match: { product: { $in: productIds }, status: 'approved' } },
+        { $group: { _id: '$product', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+
+    return new Map(results.map(({ _id, average, count }) => [
+        _id.toString(),
+        { average: Number(average.toFixed(1)), count }
+    ]));
+};
+
+/**
+ * Find the products whose average approved rating, as shown to shoppers, is at least `minRating`
+ * @param {number} minRating - Lowest average to include, from 1 to 5
+ * @returns {Promise<import('mongoose').Types.ObjectId[]>} Product IDs
+ */
+const findProductIdsRatedAtLeast = async (minRating) => {
+    const results = await Review.aggregate([
+        { $match: { status: 'approved' } },
+        { $group: { _id: '$product', average: { $avg: '$rating' } } }
+    ]);
+
+    // Rounded here rather than with $round, which rounds halves to even, so the
+    // filter agrees with the rating `getProductRatings` shows
+    return results
+        .filter(({ average }) => Number(average.toFixed(1)) >= minRating)
+        .map(({ _id }) => _id);
+};
+
 // Get all reviews for a product
 const getProductReviewsController = asyncHandler(async (req, res) => {
     const { productId } = req.params;
@@ -71,11 +107,7 @@ const createReviewController = asyncHandler(async (req, res) => {
     }
 
     // Check if this is a verified purchase
-    const verifiedPurchase = await Order.exists({
-        'customer.email': email,
-        'items.product': productId,
-        'status': 'delivered'
-    });
+    const verifiedPurchase = await hasPurchasedProduct(email, productId);
 
     // Create review
     const review = await Review.create({
@@ -86,7 +118,7 @@ const createReviewController = asyncHandler(async (req, res) => {
         title,
         comment,
         images,
-        isVerifiedPurchase: !!verifiedPurchase,
+        isVerifiedPurchase: verifiedPurchase,
         status: 'pending' // All reviews start as pending
     });
 
@@ -148,6 +180,8 @@ const updateReviewHelpfulController = asyncHandler(async (req, res) => {
 });
 
 export {
+    getProductRatings,
+    findProductIdsRatedAtLeast,
     getProductReviewsController,
     createReviewController,
     updateReviewStatusController,
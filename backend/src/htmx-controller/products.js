@@ -6,4 +6,9 @@ export function hxGetProducts(req, res, data) {
     if (hxTrigger.startsWith('pills-')) {
         return res.render('snippets/pills', { products, layout: false, target });
     }
-}
\ No newline at end of file
+}
+
+export function hxGetSearchSuggestions(req, res, data) {
+    const { search, products, categories } = data;
+    return res.render('snippets/search-suggestions', { search, products, categories, layout: false });
+}
@@ -1,7 +1,10 @@
 import jwt from "jsonwebtoken";
-import { ActivityLog, User } from "./models/index.js";
+import { ActivityLog, CustomerAccount, User } from "./models/index.js";
 import { asyncHandler, HttpError } from "./utils.js";
 
+// Audience of customer account tokens; staff tokens carry none
+export const CUSTOMER_TOKEN_AUDIENCE = "customer";
+
 // Authentication middleware
 export const protect = asyncHandler(async (req, res, next) => {
   // Get token from cookie, but also check Bearer token for API compatibility
@@ -15,9 +18,10 @@ export const protect = asyncHandler(async (req, res, next) => {
     throw new HttpError(401, "Not authorized to access this route");
   }
 
-  // Verify token and check its structure
+  // Verify token and check its structure; tokens minted for another audience
+  // (customer accounts, order lookups) never grant staff access
   const decoded = jwt.verify(token, process.env.JWT_SECRET);
-  if (typeof decoded !== "string" && "id" in decoded) {
+  if (typeof decoded !== "string" && "id" in decoded && !decoded.aud) {
     // Find user and include role in selection
     const user = await User.findById(decoded.id).select("+role");
     if (!user) throw new HttpError(401, "User no longer exists");
@@ -30,6 +34,40 @@ export const protect = asyncHandler(async (req, res, next) => {
   }
 });
 
+// Customer account authentication middleware
+export const protectCustomer = asyncHandler(async (req, res, next) => {
+  let token = req.cookies.customer_jwt;
+
+  if (!token && req.headers.authorization?.startsWith("Bearer")) {
+    token = req.headers.authorization.split(" ")[1];
+  }
+
+  if (!token) {
+    throw new HttpError(401, "Please log in to your account");
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      audience: CUSTOMER_TOKEN_AUDIENCE,
+    });
+  } catch {
+    throw new HttpError(401, "Your session has expired, please log in again");
+  }
+  if (typeof decoded === "string" || !("id" in decoded)) {
+    throw new HttpError(401, "Invalid token");
+  }
+
+  const account = await CustomerAccount.findById(decoded.id);
+  if (!account || !account.active) {
+    throw new HttpError(401, "Account no longer exists");
+  }
+
+  // @ts-ignore
+  req.customerAccount = account;
+  next();
+});
+
 // Role-based access control
 export const restrictTo = (
   /** @type {("super_admin" | "admin" | "editor")[]} */ ...roles
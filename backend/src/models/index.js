@@ -66,12 +66,28 @@ userSchema.methods.comparePassword = async function (
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Postal address, shared by checkout details and saved account addresses
+const addressFields = {
+  street: { type: String, required: true },
+  city: { type: String, required: true },
+  state: { type: String, required: true },
+  postalCode: { type: String, required: true },
+  country: { type: String, required: true },
+};
+
+// The same fields, optional, for the copies kept on orders
+const addressSnapshotFields = Object.fromEntries(
+  Object.keys(addressFields).map((name) => [name, String])
+);
+
 // Guest Guest/Customer Schema (for order information only)
 const customerSchema = new Schema({
   email: {
     type: String,
     required: true,
     trim: true,
+    lowercase: true,
+    unique: true,
   },
   firstName: {
     type: String,
@@ -82,26 +98,88 @@ const customerSchema = new Schema({
     required: true,
   },
   phoneNumber: String,
-  shippingAddress: {
-    street: { type: String, required: true },
-    city: { type: String, required: true },
-    state: { type: String, required: true },
-    postalCode: { type: String, required: true },
-    country: { type: String, required: true },
-  },
-  billingAddress: {
-    street: { type: String, required: true },
-    city: { type: String, required: true },
-    state: { type: String, required: true },
-    postalCode: { type: String, required: true },
-    country: { type: String, required: true },
+  shippingAddress: addressFields,
+  billingAddress: addressFields,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: Date,
+});
+
+// Customer Account Schema (shoppers who sign up; kept apart from staff users)
+const customerAccountSchema = new Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    unique: true,
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: 8,
+    select: false,
+  },
+  firstName: {
+    type: String,
+    required: true,
+  },
+  lastName: {
+    type: String,
+    required: true,
+  },
+  phoneNumber: String,
+  addresses: [
+    {
+      label: String,
+      type: {
+        type: String,
+        enum: ["shipping", "billing"],
+        default: "shipping",
+      },
+      isDefault: {
+        type: Boolean,
+        default: false,
+      },
+      ...addressFields,
+    },
+  ],
+  emailVerifiedAt: Date,
+  emailVerificationToken: {
+    type: String,
+    select: false,
+  },
+  emailVerificationExpire: Date,
+  // Session of the cart that follows the shopper across devices
+  cartSessionId: String,
+  active: {
+    type: Boolean,
+    default: true,
   },
   createdAt: {
     type: Date,
     default: Date.now,
   },
+  updatedAt: Date,
 });
 
+// Password hashing middleware
+customerAccountSchema.pre("save", async function (next) {
+  if (!this.isModified("password")) return next();
+  const salt = await bcrypt.genSalt(12);
+  this.password = await bcrypt.hash(this.password, salt);
+  next();
+});
+
+// Password comparison method
+customerAccountSchema.methods.comparePassword = async function (
+  /** @type {string} */ candidatePassword
+) {
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
 // Category Schema
 const categorySchema = new Schema({
   name: {
@@ -119,6 +197,8 @@ const categorySchema = new Schema({
     ref: "Category",
   },
   image: String,
+  // Tax class for products in this category; standard when unset
+  taxClass: String,
   isActive: {
     type: Boolean,
     default: true,
@@ -156,6 +236,8 @@ const productSchema = new Schema({
     type: String,
     unique: true,
   },
+  // Kilograms, for weight-based shipping
+  weight: Number,
   inventory: {
     quantity: {
       type: Number,
@@ -176,7 +258,17 @@ const productSchema = new Schema({
       name: String,
       sku: String,
       price: Number,
-      inventory: Number,
+      weight: Number,
+      inventory: {
+        quantity: {
+          type: Number,
+          default: 0,
+        },
+        reserved: {
+          type: Number,
+          default: 0,
+        },
+      },
       attributes: [
         {
           name: String,
@@ -235,18 +327,48 @@ const cartSchema = new Schema({
         type: Number,
         required: true,
       },
+      // Price the line had before a change the shopper has not acknowledged yet
+      previousPrice: Number,
     },
   ],
   status: {
     type: String,
-    enum: ["active", "converted", "abandoned", "expired"],
+    enum: ["active", "converted", "merged", "abandoned", "expired"],
     default: "active",
   },
+  // Coupon code applied to the cart
+  coupon: String,
+  // Where to send recovery emails if the cart is abandoned
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  // Recorded by the cart sweeper when the cart is abandoned
+  abandonment: {
+    value: Number,
+    itemCount: Number,
+    lastActivityAt: Date,
+    abandonedAt: Date,
+    recoveredAt: Date,
+  },
+  recovery: {
+    remindersSent: {
+      type: Number,
+      default: 0,
+    },
+    lastReminderAt: Date,
+    restoredAt: Date,
+  },
   totals: {
     subtotal: {
       type: Number,
       default: 0,
     },
+    discount: {
+      type: Number,
+      default: 0,
+    },
     tax: {
       type: Number,
       default: 0,
@@ -255,6 +377,7 @@ const cartSchema = new Schema({
       type: Number,
       default: 0,
     },
+    pricesIncludeTax: Boolean,
   },
   createdAt: {
     type: Date,
@@ -263,6 +386,18 @@ const cartSchema = new Schema({
   updatedAt: Date,
 });
 
+// Order fulfilment and payment states, shared with the order state machine
+const ORDER_STATUSES = ["pending", "processing", "shipped", "delivered", "cancelled"];
+const PAYMENT_STATUSES = [
+  "pending",
+  "paid",
+  "failed",
+  "refund_pending",
+  "partially_refunded",
+  "refunded",
+];
+const REFUND_STATUSES = ["pending", "processed", "failed"];
+
 // Order Schema
 const orderSchema = new Schema({
   orderNumber: {
@@ -270,11 +405,26 @@ const orderSchema = new Schema({
     required: true,
     unique: true,
   },
+  // Number the order had before order numbers were made sequential
+  legacyOrderNumber: {
+    type: String,
+    index: { sparse: true },
+  },
   customer: {
     type: Schema.Types.ObjectId,
     ref: "Customer",
     required: true,
   },
+  // Contact details and addresses as given at checkout. Every checkout with the
+  // same email refreshes the customer record, so the order keeps its own copy
+  contact: {
+    email: String,
+    firstName: String,
+    lastName: String,
+    phoneNumber: String,
+  },
+  shippingAddress: addressSnapshotFields,
+  billingAddress: addressSnapshotFields,
   sessionId: String,
   items: [
     {
@@ -301,13 +451,33 @@ const orderSchema = new Schema({
     required: true,
   },
   tax: Number,
+  // How the tax was worked out, so the total can be reproduced
+  pricesIncludeTax: Boolean,
+  taxBreakdown: [
+    {
+      taxClass: String,
+      rate: Number,
+      taxable: Number,
+      amount: Number,
+    },
+  ],
   shipping: {
     method: String,
+    name: String,
     cost: Number,
   },
   discount: {
+    // Kept by ID as well, since a coupon's code can be changed
+    coupon: {
+      type: Schema.Types.ObjectId,
+      ref: "Coupon",
+    },
+    redemption: Schema.Types.ObjectId,
     code: String,
     amount: Number,
+    freeShipping: Boolean,
+    // Set once the coupon use has been given back
+    releasedAt: Date,
   },
   total: {
     type: Number,
@@ -315,15 +485,87 @@ const orderSchema = new Schema({
   },
   status: {
     type: String,
-    enum: ["pending", "processing", "shipped", "delivered", "cancelled"],
+    enum: ORDER_STATUSES,
     default: "pending",
   },
   paymentStatus: {
     type: String,
-    enum: ["pending", "paid", "failed"],
+    enum: PAYMENT_STATUSES,
     default: "pending",
   },
+  refunds: [
+    {
+      providerRefundId: String,
+      amount: {
+        type: Number,
+        required: true,
+        min: 0,
+      },
+      reason: String,
+      status: {
+        type: String,
+        enum: REFUND_STATUSES,
+        default: "pending",
+      },
+      requestedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+      processedAt: Date,
+    },
+  ],
+  history: [
+    {
+      field: {
+        type: String,
+        enum: ["status", "paymentStatus"],
+        required: true,
+      },
+      from: String,
+      to: {
+        type: String,
+        required: true,
+      },
+      changedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+      actor: String,
+      reason: String,
+      at: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
   paymentMethod: String,
+  payment: {
+    provider: String,
+    reference: {
+      type: String,
+      index: true,
+    },
+    authorizationUrl: String,
+    verifiedAt: Date,
+    // Money captured for an order that could no longer take it: paid after the
+    // order failed or was cancelled, or short of the total. It is refunded as
+    // soon as it is seen; `error` is set when that refund needs staff
+    rejected: {
+      amount: Number,
+      receivedAt: Date,
+      refundId: String,
+      refundedAt: Date,
+      error: String,
+    },
+  },
+  stockStatus: {
+    type: String,
+    enum: ["reserved", "committed", "released"],
+  },
   notes: String,
   createdAt: {
     type: Date,
@@ -404,25 +646,210 @@ const activityLogSchema = new Schema({
   },
 });
 
+// Payment Event Schema (every verified webhook received from a payment provider)
+const paymentEventSchema = new Schema({
+  provider: {
+    type: String,
+    required: true,
+  },
+  eventId: {
+    type: String,
+    required: true,
+  },
+  type: String,
+  kind: {
+    type: String,
+    enum: ["charge", "refund", "other"],
+  },
+  reference: String,
+  status: String,
+  amount: Number,
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: "Order",
+  },
+  payload: Schema.Types.Mixed,
+  processedAt: Date,
+  error: String,
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Addresses that opted out of cart recovery emails
+const emailUnsubscribeSchema = new Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    unique: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Coupon Schema
+const COUPON_TYPES = ["percentage", "fixed", "free_shipping"];
+
+const couponSchema = new Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+  },
+  description: String,
+  type: {
+    type: String,
+    enum: COUPON_TYPES,
+    required: true,
+  },
+  // Percent off or naira off; unused by free shipping codes
+  value: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Cap on what a percentage code can take off
+  maxDiscount: Number,
+  minSubtotal: {
+    type: Number,
+    default: 0,
+  },
+  // When either is set, only matching cart lines are discounted
+  products: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+    },
+  ],
+  categories: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: "Category",
+    },
+  ],
+  startsAt: Date,
+  endsAt: Date,
+  usageLimit: Number,
+  usageLimitPerCustomer: Number,
+  // Orders holding the code; given back when their payment fails
+  usedCount: {
+    type: Number,
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: Date,
+});
+
+// One use of a coupon by a customer, held by an order until it is given back.
+// Coupons with a per-customer limit number each use, and the unique index lets
+// only one checkout take each number
+const couponRedemptionSchema = new Schema({
+  coupon: {
+    type: Schema.Types.ObjectId,
+    ref: "Coupon",
+    required: true,
+  },
+  customer: {
+    type: Schema.Types.ObjectId,
+    ref: "Customer",
+    required: true,
+  },
+  slot: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Named sequences, advanced atomically with $inc
+const counterSchema = new Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Providers retry deliveries, so an event may only be recorded once
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+// At most one redemption per numbered use of a coupon by a customer
+couponRedemptionSchema.index(
+  { coupon: 1, customer: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+// Cart sweeper and abandoned cart report
+cartSchema.index({ status: 1, updatedAt: 1 });
+cartSchema.index({ "abandonment.abandonedAt": 1 });
+// Admin order listing filters
+orderSchema.index({ createdAt: -1 });
+orderSchema.index({ status: 1, paymentStatus: 1, createdAt: -1 });
+
 // Compile and export models
 const User = model("User", userSchema);
 const Customer = model("Customer", customerSchema);
+const CustomerAccount = model("CustomerAccount", customerAccountSchema);
 const Category = model("Category", categorySchema);
 const Product = model("Product", productSchema);
 const Cart = model("Cart", cartSchema);
 const Order = model("Order", orderSchema);
 const Review = model("Review", reviewSchema);
 const ActivityLog = model("ActivityLog", activityLogSchema);
+const PaymentEvent = model("PaymentEvent", paymentEventSchema);
+const Counter = model("Counter", counterSchema);
+const EmailUnsubscribe = model("EmailUnsubscribe", emailUnsubscribeSchema);
+const Coupon = model("Coupon", couponSchema);
+const CouponRedemption = model("CouponRedemption", couponRedemptionSchema);
 
 export default {
   User,
   Customer,
+  CustomerAccount,
   Category,
   Product,
   Cart,
   Order,
   Review,
   ActivityLog,
+  PaymentEvent,
+  Counter,
+  EmailUnsubscribe,
+  Coupon,
+  CouponRedemption,
 };
 
-export { User, Customer, Category, Product, Cart, Order, Review, ActivityLog };
+export { ORDER_STATUSES, PAYMENT_STATUSES, REFUND_STATUSES, COUPON_TYPES };
+
+export {
+  User,
+  Customer,
+  CustomerAccount,
+  Category,
+  Product,
+  Cart,
+  Order,
+  Review,
+  ActivityLog,
+  PaymentEvent,
+  Counter,
+  EmailUnsubscribe,
+  Coupon,
+  CouponRedemption,
+};
@@ -6,9 +6,19 @@ import {
   updateCartItemController,
   removeCartItemController,
   clearCartController,
+  mergeCartsController,
+  setCartEmailController,
+  getShippingQuoteController,
+  applyCartCouponController,
+  removeCartCouponController,
+  acknowledgePriceChangesController,
+  restoreCartController,
+  unsubscribeCartRecoveryController,
 } from "./controllers/cart.js";
 import {
   getCategoriesController,
+  getCategoryTreeController,
+  getCategoryAncestorsController,
   getCategoryByIdController,
   createCategoryController,
   updateCategoryController,
@@ -23,15 +33,49 @@ import {
   updateProductController,
   deleteProductController,
   updateProductInventoryController,
+  getSearchSuggestionsController,
 } from "./controllers/products.js";
 import {
   createOrderController,
+  getOrdersController,
+  getAdminOrderController,
   getOrderByNumberController,
   updateOrderStatusController,
   updatePaymentStatusController,
+  createRefundController,
+  getOrderStatusOptionsController,
 } from "./controllers/orders.js";
+import {
+  verifyPaymentController,
+  paymentWebhookController,
+  mockCheckoutController,
+  completeMockPaymentController,
+} from "./controllers/payments.js";
+import { getCustomerByEmailController } from "./controllers/customers.js";
+import { getAbandonedCartReportController } from "./controllers/reports.js";
+import {
+  getCouponsController,
+  createCouponController,
+  updateCouponController,
+  deleteCouponController,
+} from "./controllers/coupons.js";
+import {
+  registerAccountController,
+  verifyAccountEmailController,
+  resendVerificationController,
+  loginAccountController,
+  logoutAccountController,
+  getAccountController,
+  updateAccountController,
+  getAddressesController,
+  addAddressController,
+  updateAddressController,
+  deleteAddressController,
+  getAccountOrdersController,
+  getAccountOrderController,
+} from "./controllers/accounts.js";
 import { register, login, logout } from "./controllers/auth.js";
-import { logActivity, protect, restrictTo } from "./middleware.js";
+import { logActivity, protect, protectCustomer, restrictTo } from "./middleware.js";
 import {
   createAdmin,
   deleteAdmin,
@@ -58,12 +102,15 @@ apiRouter.delete('/images/:filename', deleteImageController);
 
 // Category Routes
 apiRouter.get("/categories", getCategoriesController);
+apiRouter.get("/categories/tree", getCategoryTreeController);
 apiRouter.get("/categories/:id", getCategoryByIdController);
+apiRouter.get("/categories/:id/ancestors", getCategoryAncestorsController);
 apiRouter.post("/categories", protect, r1, createCategoryController);
 apiRouter.put("/categories/:id", protect, r1, updateCategoryController);
 apiRouter.delete("/categories/:id", protect, r2, deleteCategoryController);
 
 // Product Routes
+apiRouter.get("/search/suggest", getSearchSuggestionsController);
 apiRouter.get("/products", getProductsController);
 apiRouter.get("/products/:id", getProductByIdController);
 apiRouter.get("/products/slug/:slug", getProductBySlugController);
@@ -73,22 +120,60 @@ apiRouter.put("/products/:id", protect, r1, updateProductController);
 apiRouter.delete("/products/:id", protect, r2, deleteProductController);
 apiRouter.put("/products/:id/inventory", protect, r1, updateProductInventoryController);
 
-// Cart Routes
+// Cart Routes (the shopper's cart, from the signed cart cookie)
 apiRouter.post("/cart", createCartController);
-apiRouter.get("/cart/:sessionId", getCartBySessionController);
-apiRouter.post("/cart/:sessionId/items", addCartItemController);
-apiRouter.put("/cart/:sessionId/items/:itemId", updateCartItemController);
-apiRouter.delete("/cart/:sessionId/items/:itemId", removeCartItemController);
-apiRouter.delete("/cart/:sessionId", clearCartController);
+apiRouter.get("/cart", getCartBySessionController);
+apiRouter.post("/cart/items", addCartItemController);
+apiRouter.put("/cart/items/:itemId", updateCartItemController);
+apiRouter.delete("/cart/items/:itemId", removeCartItemController);
+apiRouter.delete("/cart", clearCartController);
+apiRouter.put("/cart/email", setCartEmailController);
+apiRouter.post("/cart/shipping-quote", getShippingQuoteController);
+apiRouter.post("/cart/coupon", applyCartCouponController);
+apiRouter.delete("/cart/coupon", removeCartCouponController);
+apiRouter.post("/cart/price-changes/acknowledge", acknowledgePriceChangesController);
+apiRouter.get("/cart/restore/:token", restoreCartController);
+apiRouter.get("/cart/recovery/unsubscribe/:token", unsubscribeCartRecoveryController);
+
+// Cart Routes by session ID (admin and debugging only)
+apiRouter.post("/cart/merge", protect, r2, mergeCartsController);
+apiRouter.get("/cart/:sessionId", protect, r2, getCartBySessionController);
+apiRouter.post("/cart/:sessionId/items", protect, r2, addCartItemController);
+apiRouter.put("/cart/:sessionId/items/:itemId", protect, r2, updateCartItemController);
+apiRouter.delete("/cart/:sessionId/items/:itemId", protect, r2, removeCartItemController);
+apiRouter.delete("/cart/:sessionId", protect, r2, clearCartController);
 
 // Order Routes
 apiRouter.post("/orders", createOrderController);
+apiRouter.get("/orders", protect, r2, getOrdersController);
+apiRouter.get("/orders/statuses", protect, r2, getOrderStatusOptionsController);
 apiRouter.get("/orders/:orderNumber", getOrderByNumberController);
-apiRouter.put("/orders/:orderNumber/status", updateOrderStatusController);
+apiRouter.get("/orders/:orderNumber/admin", protect, r2, getAdminOrderController);
+apiRouter.put("/orders/:orderNumber/status", protect, r2, updateOrderStatusController);
 apiRouter.put(
   "/orders/:orderNumber/payment-status",
+  protect,
+  r2,
   updatePaymentStatusController
 );
+apiRouter.post("/orders/:orderNumber/refunds", protect, r2, createRefundController);
+
+// Customer Routes
+apiRouter.get("/customers", protect, r2, getCustomerByEmailController);
+
+// Coupon Routes
+apiRouter.get("/coupons", protect, r2, getCouponsController);
+apiRouter.post("/coupons", protect, r2, createCouponController);
+apiRouter.put("/coupons/:id", protect, r2, updateCouponController);
+apiRouter.delete("/coupons/:id", protect, r2, deleteCouponController);
+// Report Routes
+apiRouter.get("/reports/abandoned-carts", protect, r2, getAbandonedCartReportController);
+
+// Payment Routes
+apiRouter.get("/payments/verify", verifyPaymentController);
+apiRouter.post("/payments/webhook/:provider", paymentWebhookController);
+apiRouter.get("/payments/mock/:reference", mockCheckoutController);
+apiRouter.post("/payments/mock/:reference", completeMockPaymentController);
 
 // Review Routes
 apiRouter.get('/products/:productId/reviews', getProductReviewsController);
@@ -101,6 +186,21 @@ apiRouter.post("/auth/register",protect, r3, register);
 apiRouter.post("/auth/login", login);
 apiRouter.get("/auth/logout", protect, logout);
 
+// customer account routes
+apiRouter.post("/account/register", registerAccountController);
+apiRouter.get("/account/verify-email/:token", verifyAccountEmailController);
+apiRouter.post("/account/verify-email", resendVerificationController);
+apiRouter.post("/account/login", loginAccountController);
+apiRouter.get("/account/logout", protectCustomer, logoutAccountController);
+apiRouter.get("/account", protectCustomer, getAccountController);
+apiRouter.patch("/account", protectCustomer, updateAccountController);
+apiRouter.get("/account/addresses", protectCustomer, getAddressesController);
+apiRouter.post("/account/addresses", protectCustomer, addAddressController);
+apiRouter.put("/account/addresses/:addressId", protectCustomer, updateAddressController);
+apiRouter.delete("/account/addresses/:addressId", protectCustomer, deleteAddressController);
+apiRouter.get("/account/orders", protectCustomer, getAccountOrdersController);
+apiRouter.get("/account/orders/:orderNumber", protectCustomer, getAccountOrderController);
+
 // admin routes
 apiRouter.use("/admins", protect, r3);
 apiRouter.get("/admins", getAllAdmins);
@@ -10,6 +10,12 @@ import pagesRouter from "./views/index.js";
 
 
 const env = config();
+
+// Payment webhooks are signed over the exact bytes received, so keep them around
+const keepRawBody = (req, res, buf) => {
+    // @ts-ignore
+    req.rawBody = buf;
+};
 const app = express();
 
 app.locals = {
@@ -17,7 +23,7 @@ app.locals = {
     showBreadCrumbs: false,
 }
 
-app.use(cors()).set("view engine", "ejs").use(expressEjsLayouts).set("views", _platformJoin(process.cwd(), "/backend/src/views")).set("layout", _platformJoin(process.cwd(), "/backend/src/views/layouts/main")).use("/assets", express.static(_platformJoin(process.cwd(), "assets"))).use("/uploads", express.static("uploads")).use(express.json()).use(cookieParser()).use(bp.urlencoded({ extended: true  })).use("/", pagesRouter).use("/api/v1",apiRouter);
+app.use(cors()).set("view engine", "ejs").use(expressEjsLayouts).set("views", _platformJoin(process.cwd(), "/backend/src/views")).set("layout", _platformJoin(process.cwd(), "/backend/src/views/layouts/main")).use("/assets", express.static(_platformJoin(process.cwd(), "assets"))).use("/uploads", express.static("uploads")).use(express.json({ verify: keepRawBody })).use(cookieParser(process.env.COOKIE_SECRET || process.env.JWT_SECRET)).use(bp.urlencoded({ extended: true  })).use("/", pagesRouter).use("/api/v1",apiRouter);
 // disable x-powered-by header
 app.disable("x-powered-by");
 
@@ -0,0 +1,115 @@
+import { Product } from "../models/index.js";
+import { HttpError } from "../utils.js";
+import { evaluateCoupon } from "./coupons.js";
+import { calculateTotals } from "./tax.js";
+
+/**
+ * A cart line whose price changed since the shopper added it
+ * @typedef {Object} PriceChange
+ * @property {any} itemId - Cart line ID
+ * @property {any} product - Product ID
+ * @property {any} [variant] - Variant ID
+ * @property {string} [name] - Product name, when the cart's products are populated
+ * @property {number} oldPrice
+ * @property {number} newPrice
+ */
+
+/**
+ * Calculate cart totals including subtotal, discount, tax, and total. A coupon
+ * that no longer applies, e.g. once the cart drops below its minimum spend,
+ * is taken off the cart
+ * @param {any} cart - Cart document, not saved here
+ */
+export const calculateCartTotals = async (cart) => {
+  let lineDiscounts = [];
+  if (cart.coupon) {
+    try {
+      ({ lineDiscounts } = await evaluateCoupon(cart.coupon, cart.items, { email: cart.email }));
+    } catch (error) {
+      if (!(error instanceof HttpError)) throw error;
+      cart.coupon = undefined;
+    }
+  }
+
+  const { subtotal, discount, tax, total, pricesIncludeTax } = await calculateTotals(
+    cart.items,
+    undefined,
+    lineDiscounts
+  );
+  return { subtotal, discount, tax, total, pricesIncludeTax };
+};
+
+/**
+ * Bring each line up to its product's or variant's current price, keeping the
+ * price the shopper saw until they acknowledge the change. Lines whose product
+ * is gone are left alone. Totals are not recalculated and nothing is saved
+ * @param {any} cart - Cart document
+ * @param {Map<string, any>} [productsById] - The cart's products, when already loaded
+ * @returns {Promise<boolean>} Whether any line changed
+ */
+export const repriceCart = async (cart, productsById) => {
+  if (!productsById) {
+    const products = await Product.find({
+      _id: { $in: cart.items.map((item) => item.product?._id ?? item.product) },
+    }).select("price variants._id variants.price");
+    productsById = new Map(products.map((product) => [product._id.toString(), product]));
+  }
+
+  let changed = false;
+  for (const item of cart.items) {
+    const product = productsById.get(String(item.product?._id ?? item.product));
+    if (!product) continue;
+
+    const variant = item.variant && product.variants.id(item.variant);
+    const currentPrice = variant?.price ?? product.price;
+    if (currentPrice === item.price) continue;
+
+    item.previousPrice ??= item.price;
+    item.price = currentPrice;
+    // Back to the price the shopper saw, so there is nothing to flag
+    if (item.previousPrice === currentPrice) {
+      item.previousPrice = undefined;
+    }
+    changed = true;
+  }
+  return changed;
+};
+
+/**
+ * Lines with a price change the shopper has not acknowledged
+ * @param {any} cart - Cart document
+ * @returns {PriceChange[]}
+ */
+export const getPriceChanges = (cart) =>
+  cart.items
+    .filter((item) => item.previousPrice != null)
+    .map((item) => ({
+      itemId: item._id,
+      product: item.product?._id ?? item.product,
+      variant: item.variant,
+      name: item.product?.name,
+      oldPrice: item.previousPrice,
+      newPrice: item.price,
+    }));
+
+/**
+ * Accept the price changes the shopper was shown, without saving. Nothing is
+ * accepted unless every flagged line is acknowledged at its current price, so
+ * a price that moved again after the shopper last looked is never taken on trust
+ * @param {any} cart - Cart document, repriced by the caller
+ * @param {import("zod").infer<typeof import("../zodSchema.js").priceAcknowledgementSchema>["prices"]} acknowledged
+ * New prices the shopper saw, by cart line
+ * @returns {PriceChange[]} Changes left unaccepted; empty once the cart is clear
+ */
+export const acknowledgePriceChanges = (cart, acknowledged) => {
+  const seen = new Map(acknowledged.map(({ itemId, price }) => [String(itemId), price]));
+  const unseen = getPriceChanges(cart).filter(
+    (change) => seen.get(String(change.itemId)) !== change.newPrice
+  );
+  if (unseen.length) return unseen;
+
+  for (const item of cart.items) {
+    item.previousPrice = undefined;
+  }
+  return [];
+};
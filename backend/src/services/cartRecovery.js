@@ -0,0 +1,166 @@
+import jwt from "jsonwebtoken";
+import { Cart, EmailUnsubscribe } from "../models/index.js";
+import { sendCartRecoveryEmail } from "../utils.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const RESTORE_AUDIENCE = "cart-restore";
+const UNSUBSCRIBE_AUDIENCE = "cart-recovery-unsubscribe";
+
+/**
+ * Hours after abandonment at which each reminder goes out, from
+ * CART_RECOVERY_DELAYS_HOURS (e.g. "1,24,72")
+ * @returns {number[]}
+ */
+const getReminderDelays = () =>
+  (process.env.CART_RECOVERY_DELAYS_HOURS || "1,24,72")
+    .split(",")
+    .map(Number)
+    .filter((hours) => hours >= 0);
+
+/**
+ * Most reminders a cart can get, capped by the number of delays configured
+ */
+const getMaxReminders = () => {
+  const delays = getReminderDelays().length;
+  const max = Number(process.env.CART_RECOVERY_MAX_REMINDERS);
+  return Number.isInteger(max) && max >= 0 ? Math.min(max, delays) : delays;
+};
+
+/**
+ * Sign a link token that brings an abandoned cart back
+ * @param {any} cartId
+ */
+const signRestoreToken = (cartId) =>
+  jwt.sign({ cartId: String(cartId) }, process.env.JWT_SECRET, {
+    audience: RESTORE_AUDIENCE,
+    expiresIn: process.env.CART_RESTORE_TOKEN_TTL || "14d",
+  });
+
+/**
+ * Sign a link token that stops recovery emails to an address; it never expires
+ * @param {string} email
+ */
+const signUnsubscribeToken = (email) =>
+  jwt.sign({ email }, process.env.JWT_SECRET, { audience: UNSUBSCRIBE_AUDIENCE });
+
+/**
+ * Decode a token of the given audience, or null when it is invalid or expired
+ * @param {string} token
+ * @param {string} audience
+ * @returns {Record<string, any> | null}
+ */
+const decodeToken = (token, audience) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience });
+    return typeof decoded === "string" ? null : decoded;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * ID of the cart a restore link points to
+ * @param {string} token
+ * @returns {string | null} Null when the link is invalid or has expired
+ */
+export const verifyRestoreToken = (token) => decodeToken(token, RESTORE_AUDIENCE)?.cartId ?? null;
+
+/**
+ * Email an unsubscribe link was sent to
+ * @param {string} token
+ * @returns {string | null} Null when the link is invalid
+ */
+export const verifyUnsubscribeToken = (token) =>
+  decodeToken(token, UNSUBSCRIBE_AUDIENCE)?.email ?? null;
+
+/**
+ * Stop sending recovery emails to an address
+ * @param {string} email
+ */
+export const unsubscribeFromCartRecovery = (email) =>
+  EmailUnsubscribe.updateOne(
+    { email: email.trim().toLowerCase() },
+    { $setOnInsert: { createdAt: new Date() } },
+    { upsert: true }
+  );
+
+/**
+ * Send the reminder that is due for one cart
+ * @param {any} cart - Cart document with its products populated
+ */
+const sendReminder = async (cart) => {
+  const baseUrl = `${process.env.FRONTEND_URL}/api/v1/cart`;
+  await sendCartRecoveryEmail(
+    cart.email,
+    {
+      items: cart.items
+        .filter((item) => item.product)
+        .map((item) => ({
+          name: item.product.name,
+          quantity: item.quantity,
+          price: item.price,
+        })),
+      total: cart.totals.total,
+    },
+    {
+      restoreUrl: `${baseUrl}/restore/${signRestoreToken(cart._id)}`,
+      unsubscribeUrl: `${baseUrl}/recovery/unsubscribe/${signUnsubscribeToken(cart.email)}`,
+    }
+  );
+};
+
+/**
+ * Email shoppers whose abandoned carts are due a reminder. Each reminder is
+ * claimed on the cart before it is sent, so overlapping runs never send it twice
+ * @param {Date} now
+ * @returns {Promise<number>} Reminders sent
+ */
+export const sendCartRecoveryEmails = async (now) => {
+  const delays = getReminderDelays();
+  let sent = 0;
+
+  for (let reminder = 0; reminder < getMaxReminders(); reminder++) {
+    const remindersSent = reminder === 0 ? { $in: [0, null] } : reminder;
+    const query = {
+      status: { $in: ["abandoned", "expired"] },
+      email: { $nin: [null, ""] },
+      "items.0": { $exists: true },
+      "abandonment.recoveredAt": null,
+      "abandonment.abandonedAt": { $lte: new Date(now.getTime() - delays[reminder] * HOUR_MS) },
+      "recovery.remindersSent": remindersSent,
+    };
+    // Keep reminders apart even when the sweeper was down and several fell due
+    if (reminder > 0) {
+      const gap = (delays[reminder] - delays[reminder - 1]) * HOUR_MS;
+      query["recovery.lastReminderAt"] = { $lte: new Date(now.getTime() - gap) };
+    }
+
+    const carts = await Cart.find(query).populate("items.product", "name");
+    if (!carts.length) continue;
+
+    const optedOut = new Set(
+      (await EmailUnsubscribe.find({ email: { $in: carts.map((cart) => cart.email) } })).map(
+        (entry) => entry.email
+      )
+    );
+
+    for (const cart of carts) {
+      if (optedOut.has(cart.email)) continue;
+
+      const { modifiedCount } = await Cart.updateOne(
+        { _id: cart._id, "recovery.remindersSent": remindersSent },
+        { $set: { "recovery.remindersSent": reminder + 1, "recovery.lastReminderAt": now } }
+      );
+      if (!modifiedCount) continue;
+
+      try {
+        await sendReminder(cart);
+        sent++;
+      } catch (error) {
+        console.error(`Cart recovery: could not email ${cart.email}:`, error.message);
+      }
+    }
+  }
+
+  return sent;
+};
@@ -0,0 +1,40 @@
+import { randomBytes } from "crypto";
+
+const CART_COOKIE = "cart_session";
+const CART_COOKIE_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
+
+/**
+ * Mint a cart session ID; long and random so it cannot be guessed
+ * @returns {string}
+ */
+export const mintCartSessionId = () => randomBytes(24).toString("base64url");
+
+/**
+ * Cart session carried by the request's signed cookie
+ * @param {import("express").Request} req
+ * @returns {string | undefined} Undefined when there is no cookie or its signature is wrong
+ */
+export const getCartSessionId = (req) => req.signedCookies?.[CART_COOKIE] || undefined;
+
+/**
+ * Hand the shopper their cart session in an HttpOnly signed cookie
+ * @param {import("express").Response} res
+ * @param {string} sessionId
+ */
+export const setCartSessionCookie = (res, sessionId) => {
+  res.cookie(CART_COOKIE, sessionId, {
+    httpOnly: true,
+    signed: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "lax",
+    maxAge: CART_COOKIE_MAX_AGE,
+  });
+};
+
+/**
+ * Forget the shopper's cart session, e.g. once the cart became an order
+ * @param {import("express").Response} res
+ */
+export const clearCartSessionCookie = (res) => {
+  res.clearCookie(CART_COOKIE, { httpOnly: true, signed: true });
+};
@@ -0,0 +1,184 @@
+import { Cart, Order } from "../models/index.js";
+import { getPaymentProvider, settleOrderPayment } from "./payments/index.js";
+import { transitionOrder } from "./orderState.js";
+import { sendCartRecoveryEmails } from "./cartRecovery.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Hours of inactivity after which a cart can no longer be used
+ */
+export const getCartExpirationHours = () => Number(process.env.CART_EXPIRATION_HOURS) || 24;
+
+/**
+ * Hours of inactivity after which a cart with items counts as abandoned
+ */
+const getCartAbandonmentHours = () => Number(process.env.CART_ABANDONMENT_HOURS) || 1;
+
+/**
+ * Minutes a checkout may wait for payment before its stock goes back on sale
+ */
+const getPaymentTimeoutMinutes = () => Number(process.env.ORDER_PAYMENT_TIMEOUT_MINUTES) || 60;
+
+/**
+ * When the cart was last touched; carts created before `updatedAt` was kept fall back to `createdAt`
+ * @param {any} cart
+ * @returns {Date}
+ */
+export const getLastActivity = (cart) => new Date(cart.updatedAt ?? cart.createdAt);
+
+/**
+ * Check if cart is expired
+ * @param {any} cart
+ */
+export const isCartExpired = (cart) =>
+  Date.now() > getLastActivity(cart).getTime() + getCartExpirationHours() * HOUR_MS;
+
+/**
+ * Put an abandoned cart back in use when its shopper returns, without saving
+ * @param {any} cart
+ */
+export const reviveAbandonedCart = (cart) => {
+  if (cart.status !== "abandoned") return;
+  cart.status = "active";
+  cart.abandonment.recoveredAt = new Date();
+};
+
+/**
+ * Query condition for carts idle since before the cutoff
+ * @param {Date} cutoff
+ */
+const idleSince = (cutoff) => ({
+  $expr: { $lt: [{ $ifNull: ["$updatedAt", "$createdAt"] }, cutoff] },
+});
+
+/**
+ * Mark idle carts with items as abandoned, recording what was left behind
+ * @param {Date} now
+ * @returns {Promise<number>} Carts abandoned
+ */
+const abandonIdleCarts = async (now) => {
+  const { modifiedCount } = await Cart.updateMany(
+    {
+      status: "active",
+      "items.0": { $exists: true },
+      ...idleSince(new Date(now.getTime() - getCartAbandonmentHours() * HOUR_MS)),
+    },
+    [
+      {
+        $set: {
+          status: "abandoned",
+          abandonment: {
+            value: "$totals.total",
+            itemCount: { $sum: "$items.quantity" },
+            lastActivityAt: { $ifNull: ["$updatedAt", "$createdAt"] },
+            abandonedAt: now,
+          },
+        },
+      },
+    ]
+  );
+  return modifiedCount;
+};
+
+/**
+ * Retire carts idle for longer than the expiration window
+ * @param {Date} now
+ * @returns {Promise<number>} Carts expired
+ */
+const expireIdleCarts = async (now) => {
+  const { modifiedCount } = await Cart.updateMany(
+    {
+      status: { $in: ["active", "abandoned"] },
+      ...idleSince(new Date(now.getTime() - getCartExpirationHours() * HOUR_MS)),
+    },
+    { $set: { status: "expired" } }
+  );
+  return modifiedCount;
+};
+
+/**
+ * Stock is only reserved once a cart is checked out, so give back the stock of
+ * checkouts whose payment never arrived. The provider is asked first, in case
+ * the payment went through and only its notification went missing. The
+ * provider's page may still take a payment afterwards; `settleOrderPayment`
+ * refunds it, since the order has failed by then
+ * @param {Date} now
+ * @returns {Promise<number>} Orders whose stock was released
+ */
+const releaseUnpaidCheckouts = async (now) => {
+  const orders = await Order.find({
+    paymentStatus: "pending",
+    stockStatus: "reserved",
+    createdAt: { $lt: new Date(now.getTime() - getPaymentTimeoutMinutes() * MINUTE_MS) },
+  });
+
+  let released = 0;
+  for (const order of orders) {
+    try {
+      if (order.payment?.reference) {
+        const provider = getPaymentProvider(order.payment.provider);
+        const verification = await provider.verifyPayment(order.payment.reference);
+        await settleOrderPayment(order, verification);
+      }
+
+      if (order.paymentStatus === "pending") {
+        await transitionOrder(order, "paymentStatus", "failed", {
+          actor: "system",
+          reason: "Payment not completed in time",
+        });
+        released++;
+      }
+    } catch (error) {
+      console.error(`Cart sweeper: could not settle order ${order.orderNumber}:`, error.message);
+    }
+  }
+  return released;
+};
+
+/**
+ * One pass of the sweeper
+ * @returns {Promise<{ abandoned: number, expired: number, reminded: number, releasedOrders: number }>}
+ */
+export const sweepCarts = async () => {
+  const now = new Date();
+  return {
+    abandoned: await abandonIdleCarts(now),
+    expired: await expireIdleCarts(now),
+    reminded: await sendCartRecoveryEmails(now),
+    releasedOrders: await releaseUnpaidCheckouts(now),
+  };
+};
+
+/**
+ * Run the sweeper every CART_SWEEP_INTERVAL_MINUTES (15 by default)
+ * @returns {() => void} Stops the sweeper
+ */
+export const startCartSweeper = () => {
+  const intervalMinutes = Number(process.env.CART_SWEEP_INTERVAL_MINUTES) || 15;
+  let running = false;
+
+  const run = async () => {
+    // A slow pass must not overlap the next one
+    if (running) return;
+    running = true;
+    try {
+      const result = await sweepCarts();
+      if (Object.values(result).some(Boolean)) {
+        console.log("Cart sweeper:", result);
+      }
+    } catch (error) {
+      console.error("Cart sweeper failed:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMinutes * MINUTE_MS);
+  // Never keep the process alive just for the sweeper
+  timer.unref();
+  run();
+
+  return () => clearInterval(timer);
+};
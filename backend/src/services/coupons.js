@@ -0,0 +1,224 @@
+import { Coupon, CouponRedemption, Order, Product } from "../models/index.js";
+import { HttpError } from "../utils.js";
+import { findCustomerByEmail } from "./customers.js";
+
+/**
+ * @typedef {Object} CouponDiscount
+ * @property {any} coupon - Coupon document
+ * @property {number} amount - Taken off the items
+ * @property {number[]} lineDiscounts - Share of the amount on each line, in the order of the items
+ * @property {boolean} freeShipping
+ */
+
+/**
+ * @param {number} value
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Coupons are stored upper case, so codes are matched whatever the case typed
+ * @param {string} code
+ */
+export const findCoupon = (code) => Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+/**
+ * Uses of the coupon this customer's orders still hold
+ * @param {any} coupon
+ * @param {string} email
+ */
+const countCustomerUses = async (coupon, email) => {
+  const customer = await findCustomerByEmail(email);
+  if (!customer) return 0;
+  return CouponRedemption.countDocuments({ coupon: coupon._id, customer: customer._id });
+};
+
+/**
+ * Record a use of the coupon by a customer. With a per-customer limit each use
+ * takes a free numbered slot, so concurrent checkouts cannot go over it
+ * @param {any} coupon
+ * @param {any} customerId
+ * @throws {HttpError} 409 when the customer has no uses left
+ */
+const createRedemption = async (coupon, customerId) => {
+  if (coupon.usageLimitPerCustomer == null) {
+    return CouponRedemption.create({ coupon: coupon._id, customer: customerId });
+  }
+
+  for (let slot = 0; slot < coupon.usageLimitPerCustomer; slot++) {
+    try {
+      return await CouponRedemption.create({ coupon: coupon._id, customer: customerId, slot });
+    } catch (error) {
+      // Slot already taken
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new HttpError(409, `Coupon ${coupon.code} has already been used the most times allowed`);
+};
+
+/**
+ * Why a coupon cannot be used right now, or null when it can
+ * @param {any} coupon
+ * @param {number} subtotal
+ * @param {string} [email] - Limits per customer are only checked once the email is known
+ */
+const getUnavailableReason = async (coupon, subtotal, email) => {
+  const now = new Date();
+  if (!coupon || !coupon.isActive) return "is not valid";
+  if (coupon.startsAt && coupon.startsAt > now) return "is not active yet";
+  if (coupon.endsAt && coupon.endsAt <= now) return "has expired";
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    return "has been fully redeemed";
+  }
+  if (subtotal < coupon.minSubtotal) {
+    return `needs a spend of at least ${coupon.minSubtotal}`;
+  }
+  if (
+    email &&
+    coupon.usageLimitPerCustomer != null &&
+    (await countCustomerUses(coupon, email)) >= coupon.usageLimitPerCustomer
+  ) {
+    return "has already been used the most times allowed";
+  }
+  return null;
+};
+
+/**
+ * Which lines a coupon applies to: all of them unless it is scoped to products or categories
+ * @param {any} coupon
+ * @param {{ product: any }[]} items
+ * @returns {Promise<boolean[]>}
+ */
+const getEligibleLines = async (coupon, items) => {
+  if (!coupon.products.length && !coupon.categories.length) {
+    return items.map(() => true);
+  }
+
+  const productIds = new Set(coupon.products.map(String));
+  const categoryIds = new Set(coupon.categories.map(String));
+  const products = await Product.find({
+    _id: { $in: items.map((item) => item.product?._id ?? item.product) },
+  }).select("categories");
+  const categoriesByProduct = new Map(
+    products.map((product) => [product._id.toString(), product.categories.map(String)])
+  );
+
+  return items.map((item) => {
+    const productId = String(item.product?._id ?? item.product);
+    return (
+      productIds.has(productId) ||
+      (categoriesByProduct.get(productId) ?? []).some((id) => categoryIds.has(id))
+    );
+  });
+};
+
+/**
+ * Check a coupon against a cart's lines and work out what it takes off. The
+ * discount is spread over the lines it applies to so tax is charged on what
+ * the shopper actually pays
+ * @param {string} code
+ * @param {{ product: any, price: number, quantity: number }[]} items
+ * @param {{ email?: string }} [shopper]
+ * @returns {Promise<CouponDiscount>}
+ * @throws {HttpError} 400 when the coupon cannot be used on these items
+ */
+export const evaluateCoupon = async (code, items, { email } = {}) => {
+  const coupon = await findCoupon(code);
+  const lineTotals = items.map((item) => item.price * item.quantity);
+  const subtotal = lineTotals.reduce((sum, total) => sum + total, 0);
+
+  const reason = await getUnavailableReason(coupon, subtotal, email);
+  if (reason) {
+    throw new HttpError(400, `Coupon ${String(code).trim().toUpperCase()} ${reason}`);
+  }
+
+  const eligible = await getEligibleLines(coupon, items);
+  const eligibleTotal = lineTotals.reduce(
+    (sum, total, index) => (eligible[index] ? sum + total : sum),
+    0
+  );
+  if (eligibleTotal === 0) {
+    throw new HttpError(400, `Coupon ${coupon.code} does not apply to any item in your cart`);
+  }
+
+  let amount = 0;
+  if (coupon.type === "percentage") {
+    amount = (eligibleTotal * coupon.value) / 100;
+    if (coupon.maxDiscount != null) amount = Math.min(amount, coupon.maxDiscount);
+  } else if (coupon.type === "fixed") {
+    amount = Math.min(coupon.value, eligibleTotal);
+  }
+  amount = round(amount);
+
+  // Share the discount by line value; the last eligible line takes the rounding
+  const lastEligible = eligible.lastIndexOf(true);
+  let allocated = 0;
+  const lineDiscounts = lineTotals.map((total, index) => {
+    if (!eligible[index]) return 0;
+    const share =
+      index === lastEligible
+        ? round(amount - allocated)
+        : round((amount * total) / eligibleTotal);
+    allocated += share;
+    return share;
+  });
+
+  return {
+    coupon,
+    amount,
+    lineDiscounts,
+    freeShipping: coupon.type === "free_shipping",
+  };
+};
+
+/**
+ * Take one use of a coupon for a customer's order
+ * @param {any} coupon
+ * @param {any} customerId
+ * @returns {Promise<any>} The redemption, to hand back to `returnCouponUse`
+ * @throws {HttpError} 409 when another order took the last use first
+ */
+export const claimCouponUse = async (coupon, customerId) => {
+  const redemption = await createRedemption(coupon, customerId);
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  if (!claimed) {
+    await CouponRedemption.deleteOne({ _id: redemption._id });
+    throw new HttpError(409, `Coupon ${coupon.code} has been fully redeemed`);
+  }
+  return redemption;
+};
+
+/**
+ * Give back a use of a coupon taken by `claimCouponUse`. Coupons are matched
+ * by ID, since their codes can be changed
+ * @param {any} couponId
+ * @param {any} [redemptionId]
+ */
+export const returnCouponUse = async (couponId, redemptionId) => {
+  await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  if (redemptionId) await CouponRedemption.deleteOne({ _id: redemptionId });
+};
+
+/**
+ * Give back the coupon use of an order that will never be paid for, only once,
+ * without saving the order
+ * @param {any} order - Order document
+ */
+export const releaseOrderCoupon = async (order) => {
+  if (!order.discount?.coupon || order.discount.releasedAt) return;
+
+  const releasedAt = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, "discount.coupon": { $ne: null }, "discount.releasedAt": null },
+    { "discount.releasedAt": releasedAt }
+  );
+  if (!claimed) return;
+
+  await returnCouponUse(order.discount.coupon, order.discount.redemption);
+  order.discount.releasedAt = releasedAt;
+};
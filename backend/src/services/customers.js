@@ -0,0 +1,62 @@
+import { Customer, Order } from "../models/index.js";
+
+/**
+ * Normalise an email the way customer records store it
+ * @param {string} email
+ */
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+/**
+ * Create the customer for an email, or bring an existing one up to date with
+ * the details given at checkout
+ * @param {import("zod").infer<typeof import("../zodSchema.js").customerSchema>} details - Validated customer details
+ * @returns {Promise<any>} Customer document
+ */
+export const upsertCustomer = async (details) => {
+  const { email, ...profile } = details;
+  try {
+    return await Customer.findOneAndUpdate(
+      { email: normalizeEmail(email) },
+      {
+        $set: { ...profile, updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() },
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+  } catch (error) {
+    // Two checkouts with a new email raced on the insert; the loser updates instead
+    if (error.code !== 11000) throw error;
+    return Customer.findOneAndUpdate(
+      { email: normalizeEmail(email) },
+      { $set: { ...profile, updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    );
+  }
+};
+
+/**
+ * Find a customer by email
+ * @param {string} email
+ */
+export const findCustomerByEmail = (email) =>
+  Customer.findOne({ email: normalizeEmail(email) });
+
+/**
+ * Whether the customer with this email has received an order containing the product
+ * @param {string} email
+ * @param {import("mongoose").Types.ObjectId | string} productId
+ * @returns {Promise<boolean>}
+ */
+export const hasPurchasedProduct = async (email, productId) => {
+  if (!email) return false;
+
+  const customer = await findCustomerByEmail(email);
+  if (!customer) return false;
+
+  const order = await Order.exists({
+    customer: customer._id,
+    "items.product": productId,
+    status: "delivered",
+  });
+  return Boolean(order);
+};
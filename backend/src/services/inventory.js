@@ -0,0 +1,292 @@
+import mongoose from "mongoose";
+import { Order, Product } from "../models/index.js";
+import { HttpError } from "../utils.js";
+
+/**
+ * A quantity of a product, or of one of its variants, to move in or out of stock
+ * @typedef {Object} StockLine
+ * @property {import("mongoose").Types.ObjectId | string} product - Product ID
+ * @property {import("mongoose").Types.ObjectId | string | null} [variant] - Variant ID
+ * @property {number} quantity - Number of units
+ */
+
+const toObjectId = (/** @type {any} */ id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Field paths and update options addressing the stock counters of a line
+ * @param {Pick<StockLine, "variant">} line
+ */
+const stockTarget = ({ variant }) => {
+  if (!variant) {
+    return {
+      quantity: "inventory.quantity",
+      reserved: "inventory.reserved",
+      options: {},
+    };
+  }
+  return {
+    quantity: "variants.$[variant].inventory.quantity",
+    reserved: "variants.$[variant].inventory.reserved",
+    options: { arrayFilters: [{ "variant._id": toObjectId(variant) }] },
+  };
+};
+
+/**
+ * Aggregation expression for the unreserved stock of a product or variant
+ * @param {StockLine["variant"]} variant
+ */
+const availableExpression = (variant) => {
+  if (!variant) {
+    return {
+      $subtract: [
+        { $ifNull: ["$inventory.quantity", 0] },
+        { $ifNull: ["$inventory.reserved", 0] },
+      ],
+    };
+  }
+  return {
+    $let: {
+      vars: {
+        variant: {
+          $arrayElemAt: [
+            {
+              $filter: {
+                input: "$variants",
+                cond: { $eq: ["$$this._id", toObjectId(variant)] },
+              },
+            },
+            0,
+          ],
+        },
+      },
+      in: {
+        $subtract: [
+          { $ifNull: ["$$variant.inventory.quantity", 0] },
+          { $ifNull: ["$$variant.inventory.reserved", 0] },
+        ],
+      },
+    },
+  };
+};
+
+/**
+ * Find a variant of a product by ID
+ * @param {any} product - Product document or plain object
+ * @param {StockLine["variant"]} variantId
+ */
+export const findVariant = (product, variantId) =>
+  variantId
+    ? product.variants.find((variant) => variant._id.toString() === String(variantId))
+    : undefined;
+
+/**
+ * Get the unreserved stock of a product, or of one of its variants
+ * @param {any} product - Product document or plain object
+ * @param {StockLine["variant"]} [variantId]
+ * @returns {number} Units that can still be sold
+ */
+export const getAvailableQuantity = (product, variantId) => {
+  const inventory = variantId
+    ? findVariant(product, variantId)?.inventory
+    : product.inventory;
+  if (!inventory) return 0;
+  return Math.max((inventory.quantity ?? 0) - (inventory.reserved ?? 0), 0);
+};
+
+/**
+ * Reserve a single line; the availability check and the increment happen in
+ * one update so concurrent checkouts cannot both take the last unit
+ * @param {StockLine} line
+ * @returns {Promise<boolean>} Whether the stock was reserved
+ */
+const reserveLine = async (line) => {
+  const { reserved, options } = stockTarget(line);
+  const { modifiedCount } = await Product.updateOne(
+    {
+      _id: line.product,
+      isActive: true,
+      "inventory.status": "in_stock",
+      $expr: { $gte: [availableExpression(line.variant), line.quantity] },
+    },
+    { $inc: { [reserved]: line.quantity } },
+    options
+  );
+  return modifiedCount === 1;
+};
+
+/**
+ * Apply a stock change to a single line, guarded against driving the
+ * reserved counter below zero
+ * @param {StockLine} line
+ * @param {{ quantity?: number, reserved?: number }} change - Amounts to add to each counter
+ */
+const adjustLine = async (line, change) => {
+  const target = stockTarget(line);
+  const $inc = {};
+  if (change.quantity) $inc[target.quantity] = change.quantity;
+  if (change.reserved) $inc[target.reserved] = change.reserved;
+
+  const filter = { _id: line.product };
+  if (change.reserved < 0) {
+    if (line.variant) {
+      target.options.arrayFilters[0]["variant.inventory.reserved"] = { $gte: -change.reserved };
+    } else {
+      filter["inventory.reserved"] = { $gte: -change.reserved };
+    }
+  }
+
+  await Product.updateOne(filter, { $inc }, target.options);
+};
+
+/**
+ * Reserve stock for every line, or for none of them
+ * @param {StockLine[]} lines
+ * @throws {HttpError} 409 when any line would oversell
+ */
+export const reserveStock = async (lines) => {
+  /** @type {StockLine[]} */
+  const reservedLines = [];
+
+  try {
+    for (const line of lines) {
+      if (!(await reserveLine(line))) {
+        const product = await Product.findById(line.product).select("name");
+        throw new HttpError(
+          409,
+          `Not enough stock for ${product?.name ?? line.product} to fulfil ${line.quantity} units`
+        );
+      }
+      reservedLines.push(line);
+    }
+  } catch (error) {
+    await releaseStock(reservedLines);
+    throw error;
+  }
+};
+
+/**
+ * Give reserved stock back without selling it
+ * @param {StockLine[]} lines
+ */
+export const releaseStock = async (lines) => {
+  for (const line of lines) {
+    await adjustLine(line, { reserved: -line.quantity });
+  }
+};
+
+/**
+ * Turn reserved stock into sold stock
+ * @param {StockLine[]} lines
+ */
+export const commitStock = async (lines) => {
+  for (const line of lines) {
+    await adjustLine(line, { quantity: -line.quantity, reserved: -line.quantity });
+
+    if (!line.variant) {
+      await Product.updateOne(
+        {
+          _id: line.product,
+          "inventory.status": "in_stock",
+          "inventory.quantity": { $lte: 0 },
+        },
+        { $set: { "inventory.status": "out_of_stock" } }
+      );
+    }
+  }
+};
+
+/**
+ * Put sold stock back on the shelf
+ * @param {StockLine[]} lines
+ */
+export const restockStock = async (lines) => {
+  for (const line of lines) {
+    await adjustLine(line, { quantity: line.quantity });
+
+    // Undo the sold out mark `commitStock` set; discontinued products stay so
+    if (!line.variant) {
+      await Product.updateOne(
+        {
+          _id: line.product,
+          "inventory.status": "out_of_stock",
+          "inventory.quantity": { $gt: 0 },
+        },
+        { $set: { "inventory.status": "in_stock" } }
+      );
+    }
+  }
+};
+
+/**
+ * Change the stock on hand of a product or variant in one update, leaving its
+ * reservations alone
+ * @param {Pick<StockLine, "product" | "variant">} line
+ * @param {{ quantity?: number, adjustment?: number }} change - New count on hand,
+ * or units to add (negative to take away)
+ * @returns {Promise<boolean>} Whether the stock was changed
+ * @throws {HttpError} 409 when an adjustment would take the count below zero
+ */
+export const updateStockQuantity = async (line, { quantity, adjustment }) => {
+  const target = stockTarget(line);
+  const floor = adjustment < 0 ? { "inventory.quantity": { $gte: -adjustment } } : {};
+  const filter = line.variant
+    ? { _id: line.product, variants: { $elemMatch: { _id: toObjectId(line.variant), ...floor } } }
+    : { _id: line.product, ...floor };
+  const update =
+    quantity !== undefined
+      ? { $set: { [target.quantity]: quantity } }
+      : { $inc: { [target.quantity]: adjustment ?? 0 } };
+
+  const { matchedCount } = await Product.updateOne(filter, update, target.options);
+  if (matchedCount === 1) return true;
+
+  // Tell a missing product or variant apart from an adjustment that went too far
+  const exists = await Product.exists(
+    line.variant
+      ? { _id: line.product, "variants._id": toObjectId(line.variant) }
+      : { _id: line.product }
+  );
+  if (exists && adjustment < 0) {
+    throw new HttpError(409, `Cannot take away ${-adjustment} units; not that many in stock`);
+  }
+  return false;
+};
+
+/**
+ * Mark the stock held by an order as sold once it has been paid for
+ * @param {any} order - Order document
+ * @returns {Promise<boolean>} Whether this call committed the stock
+ */
+export const commitOrderStock = async (order) => {
+  // Claim the transition first so a repeated call cannot commit twice
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, stockStatus: "reserved" },
+    { stockStatus: "committed" }
+  );
+  if (!claimed) return false;
+
+  await commitStock(order.items);
+  order.stockStatus = "committed";
+  return true;
+};
+
+/**
+ * Return the stock held by an order, whether it was still reserved or already sold
+ * @param {any} order - Order document
+ * @returns {Promise<boolean>} Whether this call released the stock
+ */
+export const releaseOrderStock = async (order) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, stockStatus: { $in: ["reserved", "committed"] } },
+    { stockStatus: "released" }
+  );
+  if (!claimed) return false;
+
+  if (claimed.stockStatus === "reserved") {
+    await releaseStock(order.items);
+  } else {
+    await restockStock(order.items);
+  }
+  order.stockStatus = "released";
+  return true;
+};
@@ -0,0 +1,77 @@
+import jwt from "jsonwebtoken";
+
+// Kept apart from staff logins so a lookup token can never pass `protect`, and vice versa
+const LOOKUP_AUDIENCE = "order-lookup";
+
+/**
+ * Sign a token that lets its holder view one order without logging in
+ * @param {string} orderNumber
+ * @returns {string}
+ */
+export const signOrderLookupToken = (orderNumber) =>
+  jwt.sign({ orderNumber }, process.env.JWT_SECRET, {
+    audience: LOOKUP_AUDIENCE,
+    expiresIn: process.env.ORDER_LOOKUP_TOKEN_TTL || "30d",
+  });
+
+/**
+ * Whether a lookup token was issued for the given order
+ * @param {string} token
+ * @param {string} orderNumber
+ * @returns {boolean}
+ */
+export const verifyOrderLookupToken = (token, orderNumber) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      audience: LOOKUP_AUDIENCE,
+    });
+    return typeof decoded !== "string" && decoded.orderNumber === orderNumber;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Whether an email matches the one given for an order, ignoring case and spacing
+ * @param {string} email
+ * @param {string | undefined} orderEmail
+ */
+export const isOrderEmail = (email, orderEmail) =>
+  Boolean(orderEmail) &&
+  email.trim().toLowerCase() === orderEmail.trim().toLowerCase();
+
+/**
+ * The parts of an order its customer may see; staff notes, actors and payment
+ * references stay out. Contact details come from the order's own copy, not the
+ * customer record later checkouts update
+ * @param {any} order - Order document
+ */
+export const toCustomerOrder = (order) => ({
+  orderNumber: order.orderNumber,
+  status: order.status,
+  paymentStatus: order.paymentStatus,
+  paymentMethod: order.paymentMethod,
+  customer: {
+    firstName: order.contact?.firstName,
+    lastName: order.contact?.lastName,
+    email: order.contact?.email,
+    shippingAddress: order.shippingAddress,
+  },
+  items: order.items,
+  subtotal: order.subtotal,
+  tax: order.tax,
+  pricesIncludeTax: order.pricesIncludeTax,
+  shipping: order.shipping,
+  discount: order.discount,
+  total: order.total,
+  refunds: order.refunds.map((refund) => ({
+    amount: refund.amount,
+    status: refund.status,
+    createdAt: refund.createdAt,
+  })),
+  statusHistory: order.history
+    .filter((entry) => entry.field === "status")
+    .map((entry) => ({ status: entry.to, at: entry.at })),
+  createdAt: order.createdAt,
+  updatedAt: order.updatedAt,
+});
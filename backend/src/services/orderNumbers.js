@@ -0,0 +1,105 @@
+import { Counter } from "../models/index.js";
+
+const SEQUENCE_DIGITS = 6;
+const MAX_ATTEMPTS = 5;
+
+const ORDER_NUMBER_PATTERN = /^([A-Z0-9]+)-(\d{4})-(\d+)-(\d)$/;
+
+/**
+ * Luhn check digit for a string of digits, so a mistyped number fails validation
+ * @param {string} digits
+ * @returns {number}
+ */
+const checkDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Counter key of the order sequence for a year; numbering restarts every year
+ * @param {number} year
+ */
+const counterKey = (year) => `order:${year}`;
+
+/**
+ * Build an order number from its parts, e.g. `PZ-2026-000123-7`
+ * @param {number} year
+ * @param {number} sequence
+ * @param {string} [prefix]
+ */
+export const formatOrderNumber = (
+  year,
+  sequence,
+  prefix = process.env.ORDER_NUMBER_PREFIX || "PZ"
+) => {
+  const padded = String(sequence).padStart(SEQUENCE_DIGITS, "0");
+  return `${prefix}-${year}-${padded}-${checkDigit(`${year}${padded}`)}`;
+};
+
+/**
+ * Split an order number into its parts
+ * @param {string} orderNumber
+ * @returns {{ prefix: string, year: number, sequence: number } | null} Null when the
+ * number is malformed or its check digit does not match
+ */
+export const parseOrderNumber = (orderNumber) => {
+  const match = ORDER_NUMBER_PATTERN.exec(orderNumber);
+  if (!match) return null;
+
+  const [, prefix, year, sequence, check] = match;
+  if (checkDigit(`${year}${sequence}`) !== Number(check)) return null;
+  return { prefix, year: Number(year), sequence: Number(sequence) };
+};
+
+/**
+ * Take the next order number from the counter for the year of `date`
+ * @param {Date} [date]
+ * @returns {Promise<string>}
+ */
+export const nextOrderNumber = async (date = new Date()) => {
+  const year = date.getFullYear();
+  const counter = await Counter.findOneAndUpdate(
+    { _id: counterKey(year) },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return formatOrderNumber(year, counter.seq);
+};
+
+/**
+ * Move a year's counter forward so it never hands out a number already in use
+ * @param {number} year
+ * @param {number} sequence - Highest sequence number taken
+ */
+export const advanceOrderCounter = (year, sequence) =>
+  Counter.updateOne(
+    { _id: counterKey(year) },
+    { $max: { seq: sequence } },
+    { upsert: true }
+  );
+
+/**
+ * Create a record under a fresh order number, drawing another number if the
+ * one handed out is already taken (e.g. a counter restored from an old backup)
+ * @template T
+ * @param {(orderNumber: string) => Promise<T>} create
+ * @returns {Promise<T>}
+ */
+export const createWithOrderNumber = async (create) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await create(await nextOrderNumber());
+    } catch (error) {
+      const duplicateNumber = error.code === 11000 && error.keyPattern?.orderNumber;
+      if (!duplicateNumber || attempt >= MAX_ATTEMPTS) throw error;
+    }
+  }
+};
@@ -0,0 +1,267 @@
+import { HttpError, sendOrderStatusEmail } from "../utils.js";
+import { commitOrderStock, releaseOrderStock } from "./inventory.js";
+import { getPaymentProvider } from "./payments/index.js";
+import { releaseOrderCoupon } from "./coupons.js";
+
+/**
+ * @typedef {"status" | "paymentStatus"} OrderStateField
+ */
+
+/**
+ * @typedef {Object} TransitionContext
+ * @property {import("mongoose").Types.ObjectId} [changedBy] - Staff user making the change
+ * @property {string} [actor] - Who made the change when it is not a staff user, e.g. "paystack" or "system"
+ * @property {string} [reason] - Why the change was made
+ */
+
+/**
+ * Allowed moves for each status, keyed by the current status
+ * @type {Record<OrderStateField, Record<string, string[]>>}
+ */
+const TRANSITIONS = {
+  status: {
+    pending: ["processing", "cancelled"],
+    processing: ["shipped", "cancelled"],
+    shipped: ["delivered"],
+    delivered: [],
+    cancelled: [],
+  },
+  paymentStatus: {
+    pending: ["paid", "failed"],
+    paid: ["refund_pending", "partially_refunded", "refunded"],
+    failed: [],
+    refund_pending: ["paid", "partially_refunded", "refunded"],
+    partially_refunded: ["refund_pending", "refunded"],
+    refunded: [],
+  },
+};
+
+/** @type {Record<OrderStateField, string>} */
+const FIELD_LABELS = {
+  status: "order status",
+  paymentStatus: "payment status",
+};
+
+/**
+ * Whether a status may move from one value to another
+ * @param {OrderStateField} field
+ * @param {string} from
+ * @param {string} to
+ */
+export const canTransition = (field, from, to) =>
+  TRANSITIONS[field][from]?.includes(to) ?? false;
+
+/**
+ * Statuses an order can move to next
+ * @param {OrderStateField} field
+ * @param {string} from
+ */
+export const getNextStatuses = (field, from) => TRANSITIONS[field][from] ?? [];
+
+/**
+ * Tell the customer about a change they care about; failures are only logged
+ * @param {any} order
+ * @param {string} status
+ */
+const notifyCustomer = (order, status) => {
+  if (!order.contact?.email) return;
+  sendOrderStatusEmail(order.contact.email, order, status).catch(console.error);
+};
+
+/**
+ * Sum of the refunds on an order in the given states
+ * @param {any} order
+ * @param {string[]} statuses - Refund statuses to count
+ */
+const sumRefunds = (order, statuses) =>
+  order.refunds
+    .filter((refund) => statuses.includes(refund.status))
+    .reduce((sum, refund) => sum + refund.amount, 0);
+
+/**
+ * Amount of an order that has not been refunded or promised back yet
+ * @param {any} order
+ */
+export const getRefundableAmount = (order) =>
+  ["paid", "partially_refunded"].includes(order.paymentStatus)
+    ? Number((order.total - sumRefunds(order, ["pending", "processed"])).toFixed(2))
+    : 0;
+
+/**
+ * Payment status an order should be in given its refunds
+ * @param {any} order
+ */
+const paymentStatusFromRefunds = (order) => {
+  if (order.refunds.some((refund) => refund.status === "pending")) return "refund_pending";
+  const refunded = sumRefunds(order, ["processed"]);
+  if (refunded >= order.total) return "refunded";
+  if (refunded > 0) return "partially_refunded";
+  return "paid";
+};
+
+/**
+ * Bring the payment status in line with the refunds, if it changed
+ * @param {any} order
+ * @param {TransitionContext} context
+ */
+const syncRefundStatus = async (order, context) => {
+  const paymentStatus = paymentStatusFromRefunds(order);
+  if (paymentStatus !== order.paymentStatus) {
+    await applyTransition(order, "paymentStatus", paymentStatus, context);
+  }
+};
+
+/**
+ * Ask the payment provider for a refund and record it on the order, without saving
+ * @param {any} order
+ * @param {number} amount - Amount in naira
+ * @param {TransitionContext} context
+ */
+const applyRefund = async (order, amount, context) => {
+  if (!order.payment?.reference) {
+    throw new HttpError(409, "Order has no payment to refund");
+  }
+
+  const refundable = getRefundableAmount(order);
+  if (!(amount > 0) || amount > refundable) {
+    throw new HttpError(400, `Refund amount must be between 0 and ${refundable}`);
+  }
+
+  const provider = getPaymentProvider(order.payment.provider);
+  let refund;
+  try {
+    refund = await provider.refundPayment({
+      reference: order.payment.reference,
+      amount,
+      reason: context.reason,
+    });
+  } catch (error) {
+    throw new HttpError(502, `Unable to refund payment: ${error.message}`);
+  }
+
+  order.refunds.push({
+    providerRefundId: refund.id,
+    amount,
+    reason: context.reason,
+    status: refund.status,
+    requestedBy: context.changedBy,
+    processedAt: refund.status === "processed" ? new Date() : undefined,
+  });
+  await syncRefundStatus(order, context);
+};
+
+/**
+ * Record a transition on the order and run whatever it sets off, without saving
+ * @param {any} order
+ * @param {OrderStateField} field
+ * @param {string} to
+ * @param {TransitionContext} context
+ */
+const applyTransition = async (order, field, to, context) => {
+  const from = order[field];
+  if (!canTransition(field, from, to)) {
+    throw new HttpError(
+      409,
+      `Cannot change ${FIELD_LABELS[field]} from ${from} to ${to}`
+    );
+  }
+
+  order[field] = to;
+  order.history.push({ field, from, to, ...context, at: new Date() });
+
+  if (field === "status" && to === "cancelled") {
+    // An unpaid order stops accepting its payment; one that still arrives is
+    // refunded by `settleOrderPayment`
+    if (order.paymentStatus === "pending") {
+      await applyTransition(order, "paymentStatus", "failed", {
+        ...context,
+        reason: "Order cancelled before payment",
+      });
+    }
+    // Refund first: if the provider refuses, nothing else has happened yet
+    const refundable = getRefundableAmount(order);
+    if (refundable > 0) {
+      await applyRefund(order, refundable, context);
+    }
+    await releaseOrderStock(order);
+    await releaseOrderCoupon(order);
+  }
+
+  if (field === "paymentStatus" && to === "paid") {
+    await commitOrderStock(order);
+    if (order.status === "pending") {
+      await applyTransition(order, "status", "processing", {
+        actor: "system",
+        reason: "Payment received",
+      });
+    }
+  }
+
+  if (field === "paymentStatus" && to === "failed") {
+    await releaseOrderStock(order);
+    await releaseOrderCoupon(order);
+  }
+
+  if (field === "status" || ["partially_refunded", "refunded"].includes(to)) {
+    notifyCustomer(order, to);
+  }
+};
+
+/**
+ * Move an order's fulfilment or payment status, record who did it and why, and run
+ * the side effects of the move (stock, refunds, notifications)
+ * @param {any} order - Order document
+ * @param {OrderStateField} field - Which status to change
+ * @param {string} to - New status
+ * @param {TransitionContext} [context]
+ * @returns {Promise<any>} The saved order
+ * @throws {HttpError} 409 when the move is not allowed
+ */
+export const transitionOrder = async (order, field, to, context = {}) => {
+  await applyTransition(order, field, to, context);
+  order.updatedAt = new Date();
+  return order.save();
+};
+
+/**
+ * Refund part or all of what was paid for an order
+ * @param {any} order - Order document
+ * @param {number} [amount] - Amount in naira, defaults to everything still refundable
+ * @param {TransitionContext} [context]
+ * @returns {Promise<any>} The saved order
+ * @throws {HttpError} 400 for an invalid amount, 502 when the provider refuses
+ */
+export const refundOrder = async (order, amount, context = {}) => {
+  await applyRefund(order, amount ?? getRefundableAmount(order), context);
+  order.updatedAt = new Date();
+  return order.save();
+};
+
+/**
+ * Apply a provider-reported refund outcome to the matching refund on an order
+ * @param {any} order - Order document
+ * @param {{ refundId?: string, amount: number, status: string }} result - Refund outcome
+ * @returns {Promise<any>} The saved order
+ */
+export const settleOrderRefund = async (order, result) => {
+  if (!["processed", "failed"].includes(result.status)) return order;
+
+  const refund =
+    order.refunds.find(
+      (refund) => result.refundId && refund.providerRefundId === result.refundId
+    ) ??
+    order.refunds.find(
+      (refund) => refund.status === "pending" && refund.amount === result.amount
+    );
+  if (!refund || refund.status !== "pending") return order;
+
+  refund.status = result.status;
+  refund.processedAt = new Date();
+  await syncRefundStatus(order, {
+    actor: order.payment.provider,
+    reason: `Refund of ${refund.amount} ${result.status}`,
+  });
+
+  order.updatedAt = new Date();
+  return order.save();
+};
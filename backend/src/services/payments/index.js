@@ -0,0 +1,199 @@
+import { randomBytes } from "crypto";
+import { Order } from "../../models/index.js";
+import { HttpError } from "../../utils.js";
+import { transitionOrder } from "../orderState.js";
+import mockProvider from "./mock.js";
+import paystackProvider from "./paystack.js";
+
+/**
+ * @typedef {Object} PaymentRequest
+ * @property {string} reference - Unique reference for this payment attempt
+ * @property {number} amount - Amount in naira
+ * @property {string} currency - ISO currency code
+ * @property {string} email - Email of the payer
+ * @property {string} callbackUrl - Where the provider sends the shopper back to
+ * @property {Record<string, any>} [metadata] - Extra data echoed back by the provider
+ */
+
+/**
+ * @typedef {Object} PaymentSession
+ * @property {string} reference - Payment reference
+ * @property {string} authorizationUrl - Page where the shopper completes the payment
+ */
+
+/**
+ * @typedef {Object} PaymentVerification
+ * @property {string} reference - Payment reference
+ * @property {"pending" | "paid" | "failed"} status - Payment status reported by the provider
+ * @property {number} amount - Amount in naira
+ * @property {string} [currency] - ISO currency code
+ */
+
+/**
+ * @typedef {Object} PaymentEvent
+ * @property {string} id - Unique event ID
+ * @property {string} type - Provider event type
+ * @property {"charge" | "refund" | "other"} kind - What the event is about
+ * @property {string} reference - Payment reference
+ * @property {string} status - Payment status for charges, refund status for refunds
+ * @property {number} amount - Amount in naira
+ * @property {string} [refundId] - Provider refund ID, for refund events
+ */
+
+/**
+ * @typedef {Object} RefundRequest
+ * @property {string} reference - Reference of the payment to refund
+ * @property {number} amount - Amount in naira
+ * @property {string} [reason] - Why the refund was issued
+ */
+
+/**
+ * @typedef {Object} RefundResult
+ * @property {string} id - Provider refund ID
+ * @property {"pending" | "processed"} status - Refund status, later settled by a refund webhook
+ * @property {number} amount - Amount in naira
+ */
+
+/**
+ * @typedef {Object} PaymentProvider
+ * @property {string} name - Provider name, stored on the order
+ * @property {(payment: PaymentRequest) => Promise<PaymentSession>} initializePayment - Start a payment
+ * @property {(reference: string) => Promise<PaymentVerification>} verifyPayment - Ask the provider for the payment outcome
+ * @property {(rawBody: Buffer, headers: import("http").IncomingHttpHeaders) => PaymentEvent} parseWebhook - Verify and decode a webhook
+ * @property {(refund: RefundRequest) => Promise<RefundResult>} refundPayment - Return money to the payer
+ */
+
+const CURRENCY = "NGN";
+
+/** @type {Record<string, PaymentProvider>} */
+const providers = {
+  paystack: paystackProvider,
+  mock: mockProvider,
+};
+
+/**
+ * Whether a provider is configured for this environment. The mock provider
+ * lets anyone mark their own order paid, so it is only ever on when
+ * PAYMENT_MOCK_ENABLED=true is set explicitly
+ * @param {string} name
+ */
+const isEnabled = (name) => {
+  if (name === "paystack") return Boolean(process.env.PAYSTACK_SECRET_KEY);
+  if (name === "mock") return process.env.PAYMENT_MOCK_ENABLED === "true";
+  return false;
+};
+
+/**
+ * Names of the providers shoppers can pay with
+ */
+export const getEnabledPaymentProviders = () =>
+  Object.keys(providers).filter(isEnabled);
+
+/**
+ * Look up an enabled payment provider by name
+ * @param {string} name
+ * @returns {PaymentProvider}
+ * @throws {HttpError} 400 when the provider is unknown or disabled
+ */
+export const getPaymentProvider = (name) => {
+  if (!providers[name] || !isEnabled(name)) {
+    throw new HttpError(
+      400,
+      `Payment method must be one of: ${getEnabledPaymentProviders().join(", ")}`
+    );
+  }
+  return providers[name];
+};
+
+/**
+ * Start paying for an order with the provider chosen at checkout
+ * @param {any} order - Order document, saved by the caller
+ * @param {string} email - Email of the payer
+ * @returns {Promise<PaymentSession>}
+ */
+export const initializeOrderPayment = async (order, email) => {
+  const provider = getPaymentProvider(order.paymentMethod);
+  const reference = `${order.orderNumber}-${randomBytes(4).toString("hex")}`;
+
+  const session = await provider.initializePayment({
+    reference,
+    amount: order.total,
+    currency: CURRENCY,
+    email,
+    callbackUrl: `${process.env.FRONTEND_URL}/api/v1/payments/verify`,
+    metadata: { orderNumber: order.orderNumber },
+  });
+
+  order.payment = {
+    provider: provider.name,
+    reference: session.reference,
+    authorizationUrl: session.authorizationUrl,
+  };
+  return session;
+};
+
+/**
+ * Refund money captured for an order that will not be fulfilled. Runs once per
+ * order however often the payment is reported; when the refund fails the order
+ * keeps the error for staff to resolve by hand
+ * @param {any} order - Order document
+ * @param {number} amount - Amount captured, in naira
+ */
+const refundRejectedPayment = async (order, amount) => {
+  const receivedAt = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, "payment.rejected.receivedAt": null },
+    { "payment.rejected": { amount, receivedAt } }
+  );
+  if (!claimed) return;
+
+  order.payment.rejected = { amount, receivedAt };
+  try {
+    const refund = await getPaymentProvider(order.payment.provider).refundPayment({
+      reference: order.payment.reference,
+      amount,
+      reason: `Payment for order ${order.orderNumber} could not be accepted`,
+    });
+    order.payment.rejected.refundId = refund.id;
+    order.payment.rejected.refundedAt = new Date();
+  } catch (error) {
+    order.payment.rejected.error = `Refund failed: ${error.message}`;
+    console.error(
+      `Payment of ${amount} on order ${order.orderNumber} needs a manual refund:`,
+      error.message
+    );
+  }
+  order.updatedAt = new Date();
+  await order.save();
+};
+
+/**
+ * Apply a provider-verified payment outcome to its order. Money that arrives
+ * for an order that has failed or been cancelled, or that falls short of the
+ * total, is refunded rather than kept
+ * @param {any} order - Order document
+ * @param {Pick<PaymentEvent, "status" | "amount">} result - Verified outcome
+ * @returns {Promise<any>} The saved order
+ */
+export const settleOrderPayment = async (order, result) => {
+  // An underpayment is not a payment
+  const status =
+    result.status === "paid" && result.amount < order.total ? "failed" : result.status;
+
+  // Only a payment still awaiting its outcome can be settled
+  if (status !== "pending" && order.paymentStatus === "pending") {
+    order.payment.verifiedAt = new Date();
+    await transitionOrder(order, "paymentStatus", status, {
+      actor: order.payment.provider,
+      reason:
+        status === result.status
+          ? `Payment verified as ${status}`
+          : `Paid ${result.amount} against a total of ${order.total}`,
+    });
+  }
+
+  if (result.status === "paid" && result.amount > 0 && order.paymentStatus === "failed") {
+    await refundRejectedPayment(order, result.amount);
+  }
+  return order;
+};
@@ -0,0 +1,96 @@
+import { createHmac, randomUUID, timingSafeEqual } from "crypto";
+import { HttpError } from "../../utils.js";
+
+/**
+ * Payments started against the mock provider, keyed by reference. They live
+ * only in this process: a restart forgets them, and orders still waiting on
+ * one can then only be settled by the unpaid checkout sweep
+ * @type {Map<string, { amount: number, currency: string, status: "pending" | "paid" | "failed", refunded: number }>}
+ */
+const payments = new Map();
+
+/**
+ * Sign a mock webhook body the same way a real provider would
+ * @param {string | Buffer} rawBody
+ */
+export const signMockWebhook = (rawBody) =>
+  createHmac("sha256", process.env.MOCK_PAYMENT_SECRET || "mock-payment-secret").update(rawBody).digest("hex");
+
+/**
+ * Settle a mock payment, standing in for the shopper paying on a hosted page
+ * @param {string} reference
+ * @param {"paid" | "failed"} status
+ */
+export const completeMockPayment = (reference, status) => {
+  const payment = payments.get(reference);
+  if (!payment) {
+    throw new HttpError(404, `No mock payment with reference: ${reference}`);
+  }
+  payment.status = status;
+  return payment;
+};
+
+/**
+ * Fully local payment provider for development and tests; nothing leaves the process
+ * @type {import("./index.js").PaymentProvider}
+ */
+const mockProvider = {
+  name: "mock",
+
+  async initializePayment({ reference, amount, currency }) {
+    payments.set(reference, { amount, currency, status: "pending", refunded: 0 });
+    return {
+      reference,
+      authorizationUrl: `/api/v1/payments/mock/${reference}`,
+    };
+  },
+
+  async verifyPayment(reference) {
+    const payment = payments.get(reference);
+    if (!payment) {
+      throw new HttpError(404, `No mock payment with reference: ${reference}`);
+    }
+    return {
+      reference,
+      status: payment.status,
+      amount: payment.amount,
+      currency: payment.currency,
+    };
+  },
+
+  parseWebhook(rawBody, headers) {
+    const signature = String(headers["x-mock-signature"] || "");
+    const expected = signMockWebhook(rawBody);
+    if (
+      signature.length !== expected.length ||
+      !timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+      throw new HttpError(401, "Invalid webhook signature");
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    return {
+      id: event.id,
+      type: event.type,
+      kind: ["charge", "refund"].includes(event.type) ? event.type : "other",
+      reference: event.reference,
+      status: event.status,
+      amount: event.amount,
+      refundId: event.refundId,
+    };
+  },
+
+  async refundPayment({ reference, amount }) {
+    const payment = payments.get(reference);
+    if (!payment || payment.status !== "paid") {
+      throw new HttpError(400, `Mock payment ${reference} cannot be refunded`);
+    }
+    if (payment.refunded + amount > payment.amount) {
+      throw new HttpError(400, "Refund exceeds the amount paid");
+    }
+    payment.refunded += amount;
+    return { id: randomUUID(), status: "processed", amount };
+  },
+};
+
+export default mockProvider;
@@ -0,0 +1,131 @@
+import { createHmac, timingSafeEqual } from "crypto";
+import { HttpError } from "../../utils.js";
+
+const PAYSTACK_API_URL = "https://api.paystack.co";
+
+/**
+ * Call the Paystack API and unwrap its `{ status, message, data }` envelope
+ * @param {string} path - API path
+ * @param {RequestInit} [init] - Fetch options
+ */
+const paystackRequest = async (path, init = {}) => {
+  const response = await fetch(`${PAYSTACK_API_URL}${path}`, {
+    ...init,
+    headers: {
+      Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+      "Content-Type": "application/json",
+      ...init.headers,
+    },
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok || !body.status) {
+    throw new HttpError(502, `Paystack: ${body.message || response.statusText}`);
+  }
+  return body.data;
+};
+
+/**
+ * Map a Paystack transaction status onto ours
+ * @param {string} status
+ * @returns {"pending" | "paid" | "failed"}
+ */
+const toPaymentStatus = (status) => {
+  if (status === "success") return "paid";
+  if (["failed", "abandoned", "reversed"].includes(status)) return "failed";
+  return "pending";
+};
+
+/**
+ * Map a Paystack refund status onto ours
+ * @param {string} status
+ * @returns {"pending" | "processed" | "failed"}
+ */
+const toRefundStatus = (status) => {
+  if (status === "processed") return "processed";
+  if (status === "failed") return "failed";
+  return "pending";
+};
+
+// Paystack works in kobo
+const toKobo = (/** @type {number} */ amount) => Math.round(amount * 100);
+const fromKobo = (/** @type {number} */ amount) => amount / 100;
+
+/**
+ * Paystack adapter for naira card and bank transfer payments
+ * @type {import("./index.js").PaymentProvider}
+ */
+const paystackProvider = {
+  name: "paystack",
+
+  async initializePayment({ reference, amount, currency, email, callbackUrl, metadata }) {
+    const data = await paystackRequest("/transaction/initialize", {
+      method: "POST",
+      body: JSON.stringify({
+        reference,
+        email,
+        currency,
+        amount: toKobo(amount),
+        callback_url: callbackUrl,
+        metadata,
+      }),
+    });
+    return { reference: data.reference, authorizationUrl: data.authorization_url };
+  },
+
+  async verifyPayment(reference) {
+    const data = await paystackRequest(
+      `/transaction/verify/${encodeURIComponent(reference)}`
+    );
+    return {
+      reference: data.reference,
+      status: toPaymentStatus(data.status),
+      amount: fromKobo(data.amount),
+      currency: data.currency,
+    };
+  },
+
+  parseWebhook(rawBody, headers) {
+    const signature = String(headers["x-paystack-signature"] || "");
+    const expected = createHmac("sha512", process.env.PAYSTACK_SECRET_KEY)
+      .update(rawBody)
+      .digest("hex");
+    if (
+      signature.length !== expected.length ||
+      !timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+      throw new HttpError(401, "Invalid webhook signature");
+    }
+
+    const { event, data } = JSON.parse(rawBody.toString());
+    const kind = event.startsWith("charge.") ? "charge" : event.startsWith("refund.") ? "refund" : "other";
+    // Paystack events carry no ID of their own, so derive one per transaction and event type
+    return {
+      id: `${event}:${data.id}`,
+      type: event,
+      kind,
+      reference: data.reference ?? data.transaction_reference,
+      status: kind === "refund" ? toRefundStatus(data.status) : toPaymentStatus(data.status),
+      amount: fromKobo(data.amount),
+      refundId: kind === "refund" ? String(data.id) : undefined,
+    };
+  },
+
+  async refundPayment({ reference, amount, reason }) {
+    const data = await paystackRequest("/refund", {
+      method: "POST",
+      body: JSON.stringify({
+        transaction: reference,
+        amount: toKobo(amount),
+        merchant_note: reason,
+      }),
+    });
+    return {
+      id: String(data.id),
+      status: toRefundStatus(data.status) === "processed" ? "processed" : "pending",
+      amount: fromKobo(data.amount),
+    };
+  },
+};
+
+export default paystackProvider;
@@ -0,0 +1,504 @@
+import { Category, Product } from "../models/index.js";
+
+/**
+ * In-process search index over the active catalogue. The catalogue is small
+ * enough to hold in memory, which gives typo tolerance and ranking that a
+ * MongoDB text index cannot, and keeps lookups to a few milliseconds
+ * @typedef {Object} SearchIndex
+ * @property {Map<string, Map<string, number>>} postings - Term to product ID to field weight
+ * @property {string[]} terms - Every indexed term, for prefix and typo matching
+ * @property {Map<string, string>} names - Product ID to the terms of its name, for phrase matches
+ * @property {Map<string, ProductSuggestion>} products - Product ID to what a suggestion shows of it
+ * @property {(CategorySuggestion & { terms: string[] })[]} categories - Active categories and their name terms
+ * @property {number} size - Number of products indexed
+ * @property {number} builtAt - When the index was built, in milliseconds
+ *
+ * @typedef {Object} SearchHit
+ * @property {string} id - Product ID
+ * @property {number} score - Relevance, higher is better
+ *
+ * @typedef {Object} ProductSuggestion
+ * @property {string} id
+ * @property {string} name
+ * @property {string} slug
+ * @property {number} price
+ * @property {string | null} image - URL of the default image
+ *
+ * @typedef {Object} CategorySuggestion
+ * @property {string} id
+ * @property {string} name
+ * @property {string} slug
+ *
+ * @typedef {Record<string, Record<string, any>>} FilterConditions - Conditions of a
+ * product listing's filters, keyed by the filter each comes from
+ */
+
+// How much a term counts depending on where it was found
+const FIELD_WEIGHTS = {
+  name: 10,
+  sku: 8,
+  brand: 6,
+  category: 5,
+  description: 1,
+};
+
+// How much a term counts depending on how it matched the query
+const MATCH_WEIGHTS = {
+  exact: 1,
+  prefix: 0.8,
+  typo: 0.6,
+};
+
+const STOP_WORDS = new Set(["a", "an", "and", "for", "in", "of", "on", "the", "to", "with"]);
+
+/** @type {SearchIndex | null} */
+let index = null;
+/** @type {Promise<SearchIndex> | null} */
+let building = null;
+// Bumped on every invalidation so a build that started before it is not kept
+let generation = 0;
+
+/**
+ * Seconds an index is used before it is rebuilt, from SEARCH_INDEX_TTL_SECONDS;
+ * catalogue changes made through the API rebuild it straight away
+ */
+const getIndexTtlMs = () => (Number(process.env.SEARCH_INDEX_TTL_SECONDS) || 300) * 1000;
+
+/**
+ * Split text into lower-cased search terms, without accents or stop words
+ * @param {unknown} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) =>
+  String(text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((term) => term.length > 1 && !STOP_WORDS.has(term));
+
+/**
+ * SKUs are searchable whole ("pz-001" as "pz001") as well as by their parts
+ * @param {unknown} sku
+ */
+const tokenizeSku = (sku) => {
+  const terms = tokenize(sku);
+  const whole = terms.join("");
+  return whole && terms.length > 1 ? [...terms, whole] : terms;
+};
+
+/**
+ * Edit distance between two terms, counting a swap of neighbouring letters as
+ * one edit; gives up once it is certain to exceed `max`
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} The distance, or max + 1 when it is larger than max
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+};
+
+/**
+ * Typos allowed for a query term: none for short terms, more for longer ones
+ * @param {string} term
+ */
+const allowedTypos = (term) => (term.length < 3 ? 0 : term.length < 8 ? 1 : 2);
+
+/**
+ * Load the active catalogue and index it
+ * @returns {Promise<SearchIndex>}
+ */
+const buildIndex = async () => {
+  const [products, categories] = await Promise.all([
+    Product.find({ isActive: true })
+      .select("name slug price images description brand sku variants.sku categories")
+      .lean(),
+    Category.find({ isActive: true }).select("name slug").lean(),
+  ]);
+  const categoryNames = new Map(
+    categories.map((category) => [category._id.toString(), category.name])
+  );
+
+  /** @type {Map<string, Map<string, number>>} */
+  const postings = new Map();
+  const names = new Map();
+  const suggestions = new Map();
+
+  for (const product of products) {
+    const id = product._id.toString();
+    names.set(id, tokenize(product.name).join(" "));
+    suggestions.set(id, {
+      id,
+      name: product.name,
+      slug: product.slug,
+      price: product.price,
+      image: (product.images?.find((image) => image.isDefault) ?? product.images?.[0])?.url ?? null,
+    });
+
+    /** @type {Map<string, number>} */
+    const weights = new Map();
+    const add = (terms, weight) => {
+      for (const term of terms) {
+        // A term found in several fields counts for its best field only
+        weights.set(term, Math.max(weights.get(term) ?? 0, weight));
+      }
+    };
+    add(tokenize(product.name), FIELD_WEIGHTS.name);
+    add(tokenizeSku(product.sku), FIELD_WEIGHTS.sku);
+    product.variants?.forEach((variant) => add(tokenizeSku(variant.sku), FIELD_WEIGHTS.sku));
+    add(tokenize(product.brand), FIELD_WEIGHTS.brand);
+    product.categories?.forEach((categoryId) =>
+      add(tokenize(categoryNames.get(categoryId.toString())), FIELD_WEIGHTS.category)
+    );
+    add(tokenize(product.description), FIELD_WEIGHTS.description);
+
+    for (const [term, weight] of weights) {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(id, weight);
+    }
+  }
+
+  return {
+    postings,
+    terms: [...postings.keys()],
+    names,
+    products: suggestions,
+    categories: categories.map((category) => ({
+      id: category._id.toString(),
+      name: category.name,
+      slug: category.slug,
+      terms: tokenize(category.name),
+    })),
+    size: products.length,
+    builtAt: Date.now(),
+  };
+};
+
+/**
+ * The current index, rebuilt when it is missing or stale. Concurrent callers
+ * share one build
+ * @returns {Promise<SearchIndex>}
+ */
+const getIndex = async () => {
+  if (index && Date.now() - index.builtAt < getIndexTtlMs()) return index;
+
+  if (!building) {
+    const startedGeneration = generation;
+    const build = buildIndex()
+      .then((built) => {
+        if (startedGeneration === generation) index = built;
+        return built;
+      })
+      .finally(() => {
+        if (building === build) building = null;
+      });
+    building = build;
+  }
+  return building;
+};
+
+/**
+ * Rebuild the index on next use; call after changing products or categories
+ */
+export const invalidateSearchIndex = () => {
+  generation++;
+  index = null;
+  building = null;
+};
+
+/**
+ * Indexed terms a query term matches, and how well
+ * @param {SearchIndex} searchIndex
+ * @param {string} queryTerm
+ * @returns {[string, number][]} Indexed term and match weight
+ */
+const matchTerm = (searchIndex, queryTerm) => {
+  const typos = allowedTypos(queryTerm);
+  /** @type {[string, number][]} */
+  const matches = [];
+
+  for (const term of searchIndex.terms) {
+    if (term === queryTerm) {
+      matches.push([term, MATCH_WEIGHTS.exact]);
+    } else if (queryTerm.length > 1 && term.startsWith(queryTerm)) {
+      matches.push([term, MATCH_WEIGHTS.prefix]);
+    } else if (typos && editDistance(queryTerm, term, typos) <= typos) {
+      matches.push([term, MATCH_WEIGHTS.typo]);
+    }
+  }
+  return matches;
+};
+
+/**
+ * Find active products matching a search, most relevant first. Every word of
+ * the search has to match, exactly, as the start of a word, or with a typo
+ * @param {string} search
+ * @returns {Promise<SearchHit[]>}
+ */
+export const searchProducts = async (search) => {
+  const queryTerms = [...new Set(tokenize(search))];
+  if (!queryTerms.length) return [];
+
+  const searchIndex = await getIndex();
+
+  /** @type {Map<string, number> | null} */
+  let scores = null;
+  for (const queryTerm of queryTerms) {
+    /** @type {Map<string, number>} */
+    const termScores = new Map();
+    for (const [term, matchWeight] of matchTerm(searchIndex, queryTerm)) {
+      const postings = searchIndex.postings.get(term);
+      // Rare terms say more about a product than common ones
+      const idf = Math.log(1 + searchIndex.size / postings.size);
+      for (const [id, fieldWeight] of postings) {
+        termScores.set(id, Math.max(termScores.get(id) ?? 0, fieldWeight * matchWeight * idf));
+      }
+    }
+
+    if (!scores) {
+      scores = termScores;
+    } else {
+      for (const [id, score] of scores) {
+        const termScore = termScores.get(id);
+        if (termScore === undefined) scores.delete(id);
+        else scores.set(id, score + termScore);
+      }
+    }
+    if (!scores.size) return [];
+  }
+
+  // The whole search appearing in the name beats the words scattered about
+  const phrase = queryTerms.join(" ");
+  return [...scores]
+    .map(([id, score]) => ({
+      id,
+      score: searchIndex.names.get(id).includes(phrase) ? score + FIELD_WEIGHTS.name : score,
+    }))
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Products and categories to offer while a shopper is still typing. The last
+ * word is usually unfinished, so it only has to start a word of a category
+ * name; products are matched the way `searchProducts` matches them
+ * @param {string} prefix - What has been typed so far
+ * @param {{ products?: number, categories?: number }} [limits] - Most of each to return
+ * @returns {Promise<{ products: ProductSuggestion[], categories: CategorySuggestion[] }>}
+ */
+export const suggestSearch = async (prefix, limits = {}) => {
+  const { products: productLimit = 6, categories: categoryLimit = 3 } = limits;
+  const queryTerms = tokenize(prefix);
+  if (!queryTerms.length) return { products: [], categories: [] };
+
+  const hits = await searchProducts(prefix);
+  const searchIndex = await getIndex();
+
+  const categories = searchIndex.categories
+    .filter((category) =>
+      queryTerms.every((queryTerm) => category.terms.some((term) => term.startsWith(queryTerm)))
+    )
+    // Shorter names are closer to what was typed
+    .sort((a, b) => a.name.length - b.name.length || a.name.localeCompare(b.name))
+    .slice(0, categoryLimit)
+    .map(({ id, name, slug }) => ({ id, name, slug }));
+
+  return {
+    products: hits
+      .map((hit) => searchIndex.products.get(hit.id))
+      // The index may have been rebuilt in between; skip products it dropped
+      .filter(Boolean)
+      .slice(0, productLimit),
+    categories,
+  };
+};
+
+// Upper bounds of the price bands products are counted in; the last band is open
+const PRICE_BANDS = [5000, 10000, 20000, 50000];
+
+/**
+ * Unreserved stock at an inventory path, as an aggregation expression
+ * @param {string} path - e.g. "$inventory"
+ */
+const availableAt = (path) => ({
+  $subtract: [{ $ifNull: [`${path}.quantity`, 0] }, { $ifNull: [`${path}.reserved`, 0] }],
+});
+
+/**
+ * Aggregation expression for whether a product can be bought: it is marked in
+ * stock and has unreserved units, in any of its options when it has options
+ */
+export const inStockExpression = {
+  $and: [
+    { $eq: [{ $ifNull: ["$inventory.status", "in_stock"] }, "in_stock"] },
+    {
+      $cond: [
+        { $gt: [{ $size: { $ifNull: ["$variants", []] } }, 0] },
+        {
+          $anyElementTrue: [
+            {
+              $map: {
+                input: "$variants",
+                as: "variant",
+                in: { $gt: [availableAt("$$variant.inventory"), 0] },
+              },
+            },
+          ],
+        },
+        { $gt: [availableAt("$inventory"), 0] },
+      ],
+    },
+  ],
+};
+
+/**
+ * Combine filter conditions into a filter for `Product.find`; only active
+ * products are ever listed
+ * @param {FilterConditions} conditions
+ */
+export const toProductFilter = (conditions) => {
+  const all = Object.values(conditions);
+  return all.length ? { isActive: true, $and: all } : { isActive: true };
+};
+
+/**
+ * Count the products of a listing by category, brand, variant attribute, price
+ * and stock. Each facet is counted without its own filter, so the other
+ * choices it offers stay visible once one is picked
+ * @param {FilterConditions} conditions - The listing's filters, as built by `parseFilterConditions`
+ */
+export const getProductFacets = async (conditions) => {
+  /**
+   * The listing's filters bar one, cast as a query would (aggregations do not cast)
+   * @param {string} [without]
+   */
+  const matchWithout = (without) =>
+    Product.find(
+      toProductFilter(
+        Object.fromEntries(Object.entries(conditions).filter(([name]) => name !== without))
+      )
+    ).cast(Product);
+
+  const [facets] = await Product.aggregate([
+    { $match: Product.find({ isActive: true }).cast(Product) },
+    {
+      $facet: {
+        categories: [
+          { $match: matchWithout("categories") },
+          { $unwind: "$categories" },
+          { $group: { _id: "$categories", count: { $sum: 1 } } },
+          {
+            $lookup: {
+              from: Category.collection.name,
+              localField: "_id",
+              foreignField: "_id",
+              as: "category",
+            },
+          },
+          { $unwind: "$category" },
+          { $match: { "category.isActive": true } },
+          {
+            $project: {
+              _id: 0,
+              id: "$_id",
+              name: "$category.name",
+              slug: "$category.slug",
+              count: 1,
+            },
+          },
+          { $sort: { count: -1, name: 1 } },
+        ],
+        brands: [
+          { $match: matchWithout("brand") },
+          { $match: { brand: { $nin: [null, ""] } } },
+          { $group: { _id: "$brand", count: { $sum: 1 } } },
+          { $project: { _id: 0, brand: "$_id", count: 1 } },
+          { $sort: { count: -1, brand: 1 } },
+        ],
+        // Attribute names are matched ignoring case, so they are counted lower case
+        attributes: [
+          { $match: matchWithout("attributes") },
+          { $unwind: "$variants" },
+          { $unwind: "$variants.attributes" },
+          {
+            $group: {
+              _id: {
+                name: { $toLower: "$variants.attributes.name" },
+                value: "$variants.attributes.value",
+              },
+              products: { $addToSet: "$_id" },
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              name: "$_id.name",
+              value: "$_id.value",
+              count: { $size: "$products" },
+            },
+          },
+          { $sort: { name: 1, count: -1, value: 1 } },
+        ],
+        priceBands: [
+          { $match: matchWithout("price") },
+          {
+            $bucket: {
+              groupBy: "$price",
+              boundaries: [0, ...PRICE_BANDS],
+              default: "over",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        priceRange: [
+          { $match: matchWithout("price") },
+          { $group: { _id: null, min: { $min: "$price" }, max: { $max: "$price" } } },
+        ],
+        stock: [
+          { $match: matchWithout("inStock") },
+          { $group: { _id: inStockExpression, count: { $sum: 1 } } },
+        ],
+      },
+    },
+  ]);
+
+  const lastBand = PRICE_BANDS[PRICE_BANDS.length - 1];
+  return {
+    categories: facets.categories,
+    brands: facets.brands,
+    attributes: facets.attributes,
+    priceBands: facets.priceBands.map(({ _id, count }) => ({
+      min: _id === "over" ? lastBand : _id,
+      max: _id === "over" ? null : PRICE_BANDS.find((bound) => bound > _id),
+      count,
+    })),
+    priceRange: {
+      min: facets.priceRange[0]?.min ?? 0,
+      max: facets.priceRange[0]?.max ?? 0,
+    },
+    stock: {
+      inStock: facets.stock.find((entry) => entry._id === true)?.count ?? 0,
+      outOfStock: facets.stock.find((entry) => entry._id === false)?.count ?? 0,
+    },
+  };
+};
@@ -0,0 +1,202 @@
+import { Product } from "../models/index.js";
+import { HttpError } from "../utils.js";
+
+/**
+ * A way of getting an order to the shopper. Every method has a `code`, `name`
+ * and `type`, may be limited to some `countries`, and is priced by its type:
+ * - `flat`: `rate` per order
+ * - `weight`: `baseRate` plus `perKg` for every started kilogram over `includedKg`
+ * - `zone`: the `rate` of the zone whose `states` include the shipping state,
+ *   else `defaultRate`; unavailable when neither applies
+ * - `free`: nothing, once the items come to `minSubtotal`
+ * - `pickup`: nothing; `location` says where to collect the order
+ * @typedef {Object} ShippingMethod
+ * @property {string} code
+ * @property {string} name
+ * @property {"flat" | "weight" | "zone" | "free" | "pickup"} type
+ * @property {string[]} [countries]
+ * @property {number} [rate]
+ * @property {number} [baseRate]
+ * @property {number} [perKg]
+ * @property {number} [includedKg]
+ * @property {{ name: string, states: string[], rate: number }[]} [zones]
+ * @property {number} [defaultRate]
+ * @property {number} [minSubtotal]
+ * @property {string} [location]
+ *
+ * @typedef {Object} ShippingQuote
+ * @property {string} code
+ * @property {string} name
+ * @property {ShippingMethod["type"]} type
+ * @property {number} cost
+ * @property {string} [zone] - Zone the address fell in, for zone methods
+ * @property {string} [location] - Where to collect the order, for pickup
+ */
+
+const NIGERIA = ["Nigeria", "NG"];
+
+/** @type {ShippingMethod[]} */
+const DEFAULT_SHIPPING_METHODS = [
+  {
+    code: "standard",
+    name: "Standard delivery",
+    type: "zone",
+    countries: NIGERIA,
+    zones: [
+      { name: "Oyo", states: ["Oyo"], rate: 1500 },
+      { name: "South West", states: ["Lagos", "Ogun", "Osun", "Ondo", "Ekiti"], rate: 2500 },
+      {
+        name: "North Central",
+        states: ["FCT", "Abuja", "Kwara", "Kogi", "Niger", "Nasarawa", "Benue", "Plateau"],
+        rate: 3500,
+      },
+      {
+        name: "South",
+        states: [
+          "Edo", "Delta", "Rivers", "Bayelsa", "Cross River", "Akwa Ibom",
+          "Anambra", "Enugu", "Imo", "Abia", "Ebonyi",
+        ],
+        rate: 3500,
+      },
+    ],
+    // The northern zones
+    defaultRate: 4500,
+  },
+  {
+    code: "express",
+    name: "Express delivery",
+    type: "weight",
+    countries: NIGERIA,
+    baseRate: 5000,
+    perKg: 500,
+    includedKg: 2,
+  },
+  {
+    code: "free",
+    name: "Free delivery",
+    type: "free",
+    countries: NIGERIA,
+    minSubtotal: 50000,
+  },
+  {
+    code: "pickup",
+    name: "Pickup in store",
+    type: "pickup",
+    location: "Pelz Secret, Ibadan",
+  },
+];
+
+/**
+ * Compare place names loosely: "Lagos State" matches "lagos"
+ * @param {unknown} value
+ */
+const normalizePlace = (value) =>
+  String(value ?? "").trim().toLowerCase().replace(/\s+state$/, "");
+
+/**
+ * Shipping methods from SHIPPING_METHODS (a JSON array), falling back to the defaults
+ * @returns {ShippingMethod[]}
+ */
+const getShippingMethods = () => {
+  if (!process.env.SHIPPING_METHODS) return DEFAULT_SHIPPING_METHODS;
+  try {
+    return JSON.parse(process.env.SHIPPING_METHODS);
+  } catch {
+    console.error("SHIPPING_METHODS is not valid JSON; using the default shipping methods");
+    return DEFAULT_SHIPPING_METHODS;
+  }
+};
+
+/**
+ * Total weight in kilograms; a variant's weight wins over its product's
+ * @param {{ product: any, variant?: any, quantity: number }[]} items
+ */
+const getItemsWeight = async (items) => {
+  const products = await Product.find({
+    _id: { $in: items.map((item) => item.product?._id ?? item.product) },
+  }).select("weight variants._id variants.weight");
+  const productsById = new Map(products.map((product) => [product._id.toString(), product]));
+
+  return items.reduce((sum, item) => {
+    const product = productsById.get(String(item.product?._id ?? item.product));
+    const variant = item.variant && product?.variants.id(item.variant);
+    return sum + (variant?.weight ?? product?.weight ?? 0) * item.quantity;
+  }, 0);
+};
+
+/**
+ * Price one method for an order, or null when it cannot deliver it
+ * @param {ShippingMethod} method
+ * @param {{ state?: string, country?: string }} address
+ * @param {{ subtotal: number, weight: number }} order
+ * @returns {ShippingQuote | null}
+ */
+const quoteMethod = (method, address, { subtotal, weight }) => {
+  if (
+    method.countries?.length &&
+    !method.countries.some((country) => normalizePlace(country) === normalizePlace(address.country))
+  ) {
+    return null;
+  }
+
+  const quote = { code: method.code, name: method.name, type: method.type };
+  switch (method.type) {
+    case "flat":
+      return { ...quote, cost: method.rate ?? 0 };
+    case "weight": {
+      const extraKg = Math.max(0, Math.ceil(weight - (method.includedKg ?? 0)));
+      return { ...quote, cost: (method.baseRate ?? 0) + extraKg * (method.perKg ?? 0) };
+    }
+    case "zone": {
+      const state = normalizePlace(address.state);
+      const zone = method.zones?.find((candidate) =>
+        candidate.states.some((name) => normalizePlace(name) === state)
+      );
+      if (zone) return { ...quote, cost: zone.rate, zone: zone.name };
+      return method.defaultRate === undefined ? null : { ...quote, cost: method.defaultRate };
+    }
+    case "free":
+      return subtotal >= (method.minSubtotal ?? 0) ? { ...quote, cost: 0 } : null;
+    case "pickup":
+      return { ...quote, cost: 0, location: method.location };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Every shipping method that can deliver these items to the address, cheapest first
+ * @param {{ product: any, variant?: any, quantity: number }[]} items
+ * @param {{ state?: string, country?: string }} address
+ * @param {number} subtotal - What the items cost, for free-over-threshold methods
+ * @param {boolean} [freeShipping] - A coupon waives the cost of every method
+ * @returns {Promise<ShippingQuote[]>}
+ */
+export const quoteShipping = async (items, address, subtotal, freeShipping = false) => {
+  const weight = await getItemsWeight(items);
+  return getShippingMethods()
+    .map((method) => quoteMethod(method, address, { subtotal, weight }))
+    .filter(Boolean)
+    .map((quote) => (freeShipping ? { ...quote, cost: 0 } : quote))
+    .sort((a, b) => a.cost - b.cost);
+};
+
+/**
+ * Price the shipping method a shopper picked at checkout
+ * @param {{ product: any, variant?: any, quantity: number }[]} items
+ * @param {{ state?: string, country?: string }} address
+ * @param {number} subtotal
+ * @param {string} code - Shipping method code
+ * @param {boolean} [freeShipping]
+ * @returns {Promise<ShippingQuote>}
+ * @throws {HttpError} 400 when the method does not exist or cannot deliver to the address
+ */
+export const priceShipping = async (items, address, subtotal, code, freeShipping = false) => {
+  const quote = (await quoteShipping(items, address, subtotal, freeShipping)).find(
+    (candidate) => candidate.code === code
+  );
+  if (!quote) {
+    throw new HttpError(400, `Shipping method "${code}" is not available for this address`);
+  }
+  return quote;
+};
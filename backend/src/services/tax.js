@@ -0,0 +1,185 @@
+import { Product } from "../models/index.js";
+
+const STANDARD_CLASS = "standard";
+
+/**
+ * Percentage rates per tax class for each region. Country and state keys are
+ * matched case-insensitively against the shipping address, a state overrides
+ * its country class by class, and `default` covers every region not listed
+ * @typedef {Record<string, number>} ClassRates
+ * @typedef {ClassRates & { states?: Record<string, ClassRates> }} CountryRates
+ * @typedef {Record<string, CountryRates>} TaxRateTable
+ */
+
+/** @type {TaxRateTable} */
+const DEFAULT_TAX_RATES = {
+  default: { standard: 7.5, reduced: 0, zero: 0 },
+};
+
+/**
+ * @typedef {Object} TaxLine
+ * @property {string} taxClass
+ * @property {number} rate - Percentage applied
+ * @property {number} taxable - Amount the rate was applied to, as priced in the cart and after discounts
+ * @property {number} amount - Tax charged
+ *
+ * @typedef {Object} TaxTotals
+ * @property {number} subtotal - Sum of line prices, with tax when prices include it
+ * @property {number} discount - Taken off the lines before tax
+ * @property {number} tax
+ * @property {number} total - What the items cost the shopper
+ * @property {boolean} pricesIncludeTax
+ * @property {TaxLine[]} breakdown - Tax per class
+ */
+
+/**
+ * @param {number} value
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * @param {unknown} value
+ */
+const normalizeKey = (value) => String(value ?? "").trim().toLowerCase();
+
+/**
+ * Rate table from TAX_RATES (JSON of the same shape), falling back to the defaults
+ * @returns {TaxRateTable}
+ */
+const getTaxRates = () => {
+  if (!process.env.TAX_RATES) return DEFAULT_TAX_RATES;
+  try {
+    return JSON.parse(process.env.TAX_RATES);
+  } catch {
+    console.error("TAX_RATES is not valid JSON; using the default tax rates");
+    return DEFAULT_TAX_RATES;
+  }
+};
+
+/**
+ * Whether catalogue prices already include tax (TAX_PRICES_INCLUDE_TAX=true)
+ */
+export const pricesIncludeTax = () => process.env.TAX_PRICES_INCLUDE_TAX === "true";
+
+/**
+ * Region carts are taxed for before the shopper gives a shipping address
+ * (TAX_DEFAULT_COUNTRY and TAX_DEFAULT_STATE)
+ * @returns {{ country?: string, state?: string }}
+ */
+const getDefaultRegion = () => ({
+  country: process.env.TAX_DEFAULT_COUNTRY,
+  state: process.env.TAX_DEFAULT_STATE,
+});
+
+/**
+ * Look up an entry by case-insensitive key
+ * @template T
+ * @param {Record<string, T> | undefined} entries
+ * @param {string} key
+ * @returns {T | undefined}
+ */
+const findEntry = (entries, key) =>
+  key
+    ? Object.entries(entries ?? {}).find(([name]) => normalizeKey(name) === key)?.[1]
+    : undefined;
+
+/**
+ * Class rates that apply to an address
+ * @param {{ country?: string, state?: string }} [address]
+ * @returns {ClassRates}
+ */
+const getRegionRates = (address) => {
+  const table = getTaxRates();
+  const country = findEntry(table, normalizeKey(address?.country)) ?? table.default ?? {};
+  const { states, ...countryRates } = country;
+  return { ...countryRates, ...findEntry(states, normalizeKey(address?.state)) };
+};
+
+/**
+ * Every tax class named in the rate table
+ * @returns {string[]}
+ */
+export const getTaxClasses = () => {
+  const classes = new Set([STANDARD_CLASS]);
+  for (const { states, ...rates } of Object.values(getTaxRates())) {
+    for (const rateSet of [rates, ...Object.values(states ?? {})]) {
+      Object.keys(rateSet).forEach((name) => classes.add(name));
+    }
+  }
+  return [...classes];
+};
+
+/**
+ * Tax class of each product: the first of its categories that sets one, else standard
+ * @param {any[]} productIds
+ * @returns {Promise<Map<string, string>>}
+ */
+const getProductTaxClasses = async (productIds) => {
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select("categories")
+    .populate("categories", "taxClass");
+
+  return new Map(
+    products.map((product) => {
+      /** @type {any[]} */
+      const categories = product.categories;
+      return [
+        product._id.toString(),
+        categories.find((category) => category?.taxClass)?.taxClass ?? STANDARD_CLASS,
+      ];
+    })
+  );
+};
+
+/**
+ * Work out the tax on a set of cart or order lines. Cart and order both total
+ * through here, so a cart and the order placed from it always agree
+ * @param {{ product: any, price: number, quantity: number }[]} items
+ * @param {{ country?: string, state?: string }} [address] - Shipping address;
+ * the store's default region until the shopper gives one
+ * @param {number[]} [lineDiscounts] - Discount on each line, in the order of `items`
+ * @returns {Promise<TaxTotals>}
+ */
+export const calculateTotals = async (items, address = getDefaultRegion(), lineDiscounts = []) => {
+  const inclusive = pricesIncludeTax();
+  const rates = getRegionRates(address);
+  const productClasses = await getProductTaxClasses(
+    items.map((item) => item.product?._id ?? item.product)
+  );
+
+  let subtotal = 0;
+  /** @type {Map<string, number>} */
+  const taxableByClass = new Map();
+  items.forEach((item, index) => {
+    const taxClass =
+      productClasses.get(String(item.product?._id ?? item.product)) ?? STANDARD_CLASS;
+    const lineTotal = item.price * item.quantity;
+    subtotal += lineTotal;
+    taxableByClass.set(
+      taxClass,
+      (taxableByClass.get(taxClass) ?? 0) + lineTotal - (lineDiscounts[index] ?? 0)
+    );
+  });
+
+  const breakdown = [...taxableByClass].map(([taxClass, taxable]) => {
+    // Classes missing from the region fall back to its standard rate
+    const rate = rates[taxClass] ?? rates[STANDARD_CLASS] ?? 0;
+    const amount = inclusive
+      ? taxable - taxable / (1 + rate / 100)
+      : (taxable * rate) / 100;
+    return { taxClass, rate, taxable: round(taxable), amount: round(amount) };
+  });
+
+  const discount = round(lineDiscounts.reduce((sum, amount) => sum + amount, 0));
+  const tax = round(breakdown.reduce((sum, line) => sum + line.amount, 0));
+  const discounted = round(subtotal - discount);
+
+  return {
+    subtotal: round(subtotal),
+    discount,
+    tax,
+    total: inclusive ? discounted : round(discounted + tax),
+    pricesIncludeTax: inclusive,
+    breakdown,
+  };
+};
@@ -193,14 +193,201 @@ export const sendResetEmail = async (
   await transporter.sendMail(mailOptions);
 };
 
+export const sendVerificationEmail = async (
+  /** @type {string} */ email,
+  /** @type {string} */ token
+) => {
+  const verifyUrl = `${process.env.FRONTEND_URL}/api/v1/account/verify-email/${token}`;
+
+  const mailOptions = {
+    to: email,
+    subject: "✉️ Confirm your Pelzsecret account",
+    html: /* html */`
+      <!DOCTYPE html>
+      <html>
+      <body style="margin: 0; padding: 0; font-family: 'Poppins', sans-serif;">
+        <table width="100%" cellpadding="0" cellspacing="0" style="background: #f9f9f9; padding: 40px 0;">
+          <tr>
+            <td align="center">
+              <table width="600" cellpadding="0" cellspacing="0" style="background: white; border-radius: 16px; box-shadow: 0 4px 12px rgba(177, 156, 217, 0.15);">
+                <tr>
+                  <td style="padding: 32px; background: #5A5AC9; border-radius: 16px 16px 0 0;">
+                    <h1 style="margin: 0; color: white; font-size: 28px; font-weight: 600;">Pelzsecret</h1>
+                  </td>
+                </tr>
+                <tr>
+                  <td style="padding: 40px 32px;">
+                    <h2 style="color: #2D2D2D; margin: 0 0 24px 0;">Welcome to Pelzsecret</h2>
+                    <p style="color: #666; line-height: 1.6; margin: 0 0 32px 0;">
+                      Confirm your email address to start using your account:
+                    </p>
+                    <div style="text-align: center; margin: 40px 0;">
+                      <a href="${verifyUrl}"
+                         style="background: #5A5AC9; color: white; padding: 16px 32px;
+                                text-decoration: none; font-weight: 600; display: inline-block;">
+                        Confirm Email
+                      </a>
+                    </div>
+                    <p style="color: #999; font-size: 14px; margin: 24px 0 0 0;">
+                      ⏳ This link expires in 24 hours
+                    </p>
+                  </td>
+                </tr>
+                <tr>
+                  <td style="padding: 24px 32px; background: #F5F2FA; border-radius: 0 0 16px 16px;">
+                    <p style="color: #888; font-size: 12px; line-height: 1.6; margin: 0;">
+                      This email was sent to ${email}.<br>
+                      © ${new Date().getFullYear()} Pelzsecret. All rights reserved.
+                    </p>
+                  </td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `,
+  };
+  await transporter.sendMail(mailOptions);
+};
+
+export const sendCartRecoveryEmail = async (
+  /** @type {string} */ email,
+  /** @type {{ items: { name: string, quantity: number, price: number }[], total: number }} */ cart,
+  /** @type {{ restoreUrl: string, unsubscribeUrl: string }} */ links
+) => {
+  const rows = cart.items
+    .map(
+      (item) => `
+                      <tr>
+                        <td style="padding: 8px 0; color: #2D2D2D;">${item.name} &times; ${item.quantity}</td>
+                        <td style="padding: 8px 0; color: #666; text-align: right;">&#8358;${item.price * item.quantity}</td>
+                      </tr>`
+    )
+    .join("");
+
+  const mailOptions = {
+    to: email,
+    subject: "🛍️ You left something in your Pelzsecret cart",
+    headers: { "List-Unsubscribe": `<${links.unsubscribeUrl}>` },
+    html: /* html */`
+      <!DOCTYPE html>
+      <html>
+      <body style="margin: 0; padding: 0; font-family: 'Poppins', sans-serif;">
+        <table width="100%" cellpadding="0" cellspacing="0" style="background: #f9f9f9; padding: 40px 0;">
+          <tr>
+            <td align="center">
+              <table width="600" cellpadding="0" cellspacing="0" style="background: white; border-radius: 16px; box-shadow: 0 4px 12px rgba(177, 156, 217, 0.15);">
+                <tr>
+                  <td style="padding: 32px; background: #5A5AC9; border-radius: 16px 16px 0 0;">
+                    <h1 style="margin: 0; color: white; font-size: 28px; font-weight: 600;">Pelzsecret</h1>
+                  </td>
+                </tr>
+                <tr>
+                  <td style="padding: 40px 32px;">
+                    <h2 style="color: #2D2D2D; margin: 0 0 24px 0;">Your cart is waiting</h2>
+                    <table width="100%" cellpadding="0" cellspacing="0">${rows}
+                    </table>
+                    <p style="color: #999; font-size: 14px; margin: 16px 0 0 0;">Cart total: &#8358;${cart.total}</p>
+                    <div style="text-align: center; margin: 40px 0;">
+                      <a href="${links.restoreUrl}"
+                         style="background: #5A5AC9; color: white; padding: 16px 32px;
+                                text-decoration: none; font-weight: 600; display: inline-block;">
+                        Return to my cart
+                      </a>
+                    </div>
+                  </td>
+                </tr>
+                <tr>
+                  <td style="padding: 24px 32px; background: #F5F2FA; border-radius: 0 0 16px 16px;">
+                    <p style="color: #888; font-size: 12px; line-height: 1.6; margin: 0;">
+                      This email was sent to ${email}.<br>
+                      © ${new Date().getFullYear()} Pelzsecret. All rights reserved.<br>
+                      <a href="${links.unsubscribeUrl}" style="color: #5A5AC9; text-decoration: none;">Unsubscribe</a>
+                    </p>
+                  </td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `,
+  };
+  await transporter.sendMail(mailOptions);
+};
+
+const ORDER_STATUS_MESSAGES = {
+  processing: "We have received your payment and are preparing your order.",
+  shipped: "Your order is on its way.",
+  delivered: "Your order has been delivered. Enjoy!",
+  cancelled: "Your order has been cancelled.",
+  partially_refunded: "Part of your payment has been refunded.",
+  refunded: "Your payment has been refunded.",
+};
+
+export const sendOrderStatusEmail = async (
+  /** @type {string} */ email,
+  /** @type {{ orderNumber: string, total: number }} */ order,
+  /** @type {string} */ status
+) => {
+  const message = ORDER_STATUS_MESSAGES[status];
+  if (!message) return;
+
+  const mailOptions = {
+    to: email,
+    subject: `📦 Pelzsecret order ${order.orderNumber}: ${status.replace("_", " ")}`,
+    html: /* html */`
+      <!DOCTYPE html>
+      <html>
+      <body style="margin: 0; padding: 0; font-family: 'Poppins', sans-serif;">
+        <table width="100%" cellpadding="0" cellspacing="0" style="background: #f9f9f9; padding: 40px 0;">
+          <tr>
+            <td align="center">
+              <table width="600" cellpadding="0" cellspacing="0" style="background: white; border-radius: 16px; box-shadow: 0 4px 12px rgba(177, 156, 217, 0.15);">
+                <tr>
+                  <td style="padding: 32px; background: #5A5AC9; border-radius: 16px 16px 0 0;">
+                    <h1 style="margin: 0; color: white; font-size: 28px; font-weight: 600;">Pelzsecret</h1>
+                  </td>
+                </tr>
+                <tr>
+                  <td style="padding: 40px 32px;">
+                    <h2 style="color: #2D2D2D; margin: 0 0 24px 0;">Order ${order.orderNumber}</h2>
+                    <p style="color: #666; line-height: 1.6; margin: 0 0 16px 0;">${message}</p>
+                    <p style="color: #999; font-size: 14px; margin: 0;">Order total: &#8358;${order.total}</p>
+                  </td>
+                </tr>
+                <tr>
+                  <td style="padding: 24px 32px; background: #F5F2FA; border-radius: 0 0 16px 16px;">
+                    <p style="color: #888; font-size: 12px; line-height: 1.6; margin: 0;">
+                      This email was sent to ${email}.<br>
+                      © ${new Date().getFullYear()} Pelzsecret. All rights reserved.
+                    </p>
+                  </td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `,
+  };
+  await transporter.sendMail(mailOptions);
+};
+
 export class HttpError extends Error {
   /**
    * @param {number} statusCode - HTTP status code
    * @param {string} message - Error message
+   * @param {any} [details] - Extra data for the client, sent as `error.details`
    */
-  constructor(statusCode, message) {
+  constructor(statusCode, message, details) {
     super(message);
     this.statusCode = statusCode;
+    this.details = details;
   }
 }
 
@@ -212,3 +399,17 @@ export class HttpError extends Error {
 export function formatZodErrorToString(error) {
   return error.errors.map((err) => `${err.path} is ${err.message}\n`).join(", ");
 }
+
+/**
+ * Parse a date filter from the query string, rejecting anything that is not a date
+ * @param {string} value
+ * @param {string} name - Query parameter name, for the error message
+ * @returns {Date}
+ */
+export function parseDateFilter(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `${name} must be a valid date`);
+  }
+  return date;
+}
@@ -1,12 +1,185 @@
 import { Router } from "express";
+import { Category, Product, Review } from "../models/index.js";
+import {
+  findProductBySlug,
+  findProducts,
+  findProductsByCategory,
+  findSearchResults,
+  parseFilterConditions,
+  parseProductFilters,
+  PRODUCT_FILTER_PARAMS,
+} from "../controllers/products.js";
+import { getCategoryAncestors } from "../controllers/categories.js";
+import { getProductRatings } from "../controllers/reviews.js";
+import { getProductFacets, searchProducts, suggestSearch, toProductFilter } from "../services/search.js";
+import { getAvailableQuantity } from "../services/inventory.js";
+import { isHtmxRequest } from "../utils.js";
+
+const PLACEHOLDER_IMAGE = "/assets/img/product/body cream/nivea.jpg";
+const RELATED_PRODUCTS_LIMIT = 8;
+const CATEGORY_PAGE_LIMIT = 12;
+const SEARCH_PAGE_LIMIT = 12;
+const SHOP_PAGE_LIMIT = 12;
+const MAX_PAGE_LIMIT = 48;
+const LISTING_SORT_OPTIONS = [
+  { value: "createdAt", label: "Newest" },
+  { value: "price", label: "Price" },
+  { value: "name", label: "Name" },
+];
+const SEARCH_SORT_OPTIONS = [{ value: "relevance", label: "Relevance" }, ...LISTING_SORT_OPTIONS];
+
+/**
+ * The sort a listing page was asked for, or its default (the first option)
+ * when it does not offer that sort
+ * @param {unknown} value
+ * @param {{ value: string }[]} options
+ */
+const getSortParam = (value, options) =>
+  (options.find((option) => option.value === value) ?? options[0]).value;
+
+/**
+ * A whole number query string value of at least 1, or the fallback
+ * @param {unknown} value
+ * @param {number} fallback
+ * @param {number} [max]
+ */
+const getCountParam = (value, fallback, max = Infinity) => {
+  const count = Math.floor(Number(value));
+  return count >= 1 ? Math.min(count, max) : fallback;
+};
+
+/**
+ * Get the images of a product with the default one first
+ */
+const getProductImages = (product) => {
+  const images = [...product.images].sort(
+    (a, b) => Number(b.isDefault ?? false) - Number(a.isDefault ?? false)
+  );
+  return images.length ? images : [{ url: PLACEHOLDER_IMAGE, alt: product.name }];
+};
+
+/**
+ * Shape a product for the `partials/product-card` snippet
+ * @param {Map<string, { average: number }>} ratings - Ratings keyed by product ID
+ */
+const toProductCard = (product, ratings) => ({
+  slug: product.slug,
+  name: product.name,
+  price: product.price,
+  image: getProductImages(product)[0].url,
+  rating: ratings.get(product._id.toString())?.average ?? 0,
+});
+
+/**
+ * The product filters a listing page was asked for, each as one query string
+ * value so sort and page links keep them
+ * @param {import("qs").ParsedQs} requestQuery
+ * @returns {Record<string, string>}
+ */
+const getFilterParams = (requestQuery) =>
+  Object.fromEntries(
+    PRODUCT_FILTER_PARAMS.filter((name) => requestQuery[name])
+      .map((name) => [name, [requestQuery[name]].flat().join(",")])
+  );
 
 const pagesRouter = Router();
 
 pagesRouter.get("/", (req, res) => {
   res.render("index", { title: "Home" });
 });
-pagesRouter.get("/shop", (req, res) => {
-  res.render("shop", { title: "Shop", showBreadCrumbs: true, pageName: "Beauty & Cosmetics", pathName: "Shop New Products" });
+pagesRouter.get("/shop", async (req, res, next) => {
+  try {
+    /** @type {import("../controllers/products.js").ProductQuery} */
+    const query = {
+      ...getFilterParams(req.query),
+      sort: getSortParam(req.query.sort, LISTING_SORT_OPTIONS),
+      order: req.query.order === "asc" ? "asc" : "desc",
+      limit: getCountParam(req.query.limit, SHOP_PAGE_LIMIT, MAX_PAGE_LIMIT),
+    };
+    const conditions = await parseFilterConditions(query);
+    const { products, currentPage, totalPages, total } = await findProducts(toProductFilter(conditions), {
+      ...query,
+      page: getCountParam(req.query.page, 1),
+    });
+    const ratings = await getProductRatings(products.map((p) => p._id));
+
+    const locals = {
+      baseUrl: "/shop",
+      query,
+      sortOptions: LISTING_SORT_OPTIONS,
+      emptyMessage: "No products match these filters. Try removing some of them.",
+      products: products.map((p) => toProductCard(p, ratings)),
+      currentPage,
+      totalPages,
+      total,
+    };
+
+    // Sorting and paging swap only the listing; the filters redraw the sidebar too
+    if (isHtmxRequest(req) && req.header("hx-target") === "product-listing") {
+      return res.render("snippets/product-listing", { ...locals, layout: false });
+    }
+
+    const shopLocals = { ...locals, facets: await getProductFacets(conditions) };
+    if (isHtmxRequest(req)) {
+      return res.render("snippets/shop-listing", { ...shopLocals, layout: false });
+    }
+
+    res.render("shop", {
+      ...shopLocals,
+      title: "Shop",
+      showBreadCrumbs: true,
+      pageName: "Beauty & Cosmetics",
+      pathName: "Shop New Products",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+pagesRouter.get("/shop/:slug", async (req, res, next) => {
+  try {
+    const product = await findProductBySlug(req.params.slug);
+    if (!product || !product.isActive) return next();
+
+    const [reviews, related] = await Promise.all([
+      Review.find({ product: product._id, status: "approved" }).sort("-createdAt"),
+      Product.find({
+        _id: { $ne: product._id },
+        categories: { $in: product.categories.map((category) => category._id) },
+        isActive: true,
+      })
+        .sort("-createdAt")
+        .limit(RELATED_PRODUCTS_LIMIT),
+    ]);
+    const ratings = await getProductRatings(related.map((p) => p._id));
+
+    const averageRating = reviews.length
+      ? Number((reviews.reduce((sum, review) => sum + review.rating, 0) / reviews.length).toFixed(1))
+      : 0;
+    // Products with options keep their stock on the options
+    const availableQuantity = product.variants.length
+      ? product.variants.reduce((sum, variant) => sum + getAvailableQuantity(product, variant._id), 0)
+      : getAvailableQuantity(product);
+    const inventoryStatus =
+      product.inventory.status === "in_stock" && availableQuantity === 0
+        ? "out_of_stock"
+        : product.inventory.status;
+
+    res.render("single-product", {
+      title: product.name,
+      showBreadCrumbs: true,
+      pageName: product.name,
+      pathName: product.name,
+      product,
+      images: getProductImages(product),
+      reviews,
+      averageRating,
+      availableQuantity,
+      inventoryStatus,
+      relatedProducts: related.map((p) => toProductCard(p, ratings)),
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 pagesRouter.get("/about", (req, res) => {
   res.render("about", { title: "About" });
@@ -17,9 +190,112 @@ pagesRouter.get("/contact", (req, res) => {
 pagesRouter.get("/compare", (req, res) => {
   res.render("compare", { title: "Compare", showBreadCrumbs: true, pageName: "Compare", pathName: "compare"});
 });
-// pagesRouter.get("/:category", (req, res) => {
-//   // pageName & pathName are used to set the breadcrumbs and will be gotten from the database later
-//   res.render("category", { title: req.params.category, category: req.params.category, showBreadCrumbs: true, pageName: req.params.category, pathName: req.params.category });
-// });
+pagesRouter.get("/category/:slug", async (req, res, next) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug, isActive: true });
+    if (!category) return next();
+
+    /** @type {import("../controllers/products.js").ProductQuery} */
+    const query = {
+      ...getFilterParams(req.query),
+      sort: getSortParam(req.query.sort, LISTING_SORT_OPTIONS),
+      order: req.query.order === "asc" ? "asc" : "desc",
+      limit: getCountParam(req.query.limit, CATEGORY_PAGE_LIMIT, MAX_PAGE_LIMIT),
+    };
+    const { products, currentPage, totalPages, total } = await findProductsByCategory([category._id], {
+      ...query,
+      page: getCountParam(req.query.page, 1),
+    });
+    const ratings = await getProductRatings(products.map((p) => p._id));
+
+    const locals = {
+      baseUrl: `/category/${category.slug}`,
+      query,
+      sortOptions: LISTING_SORT_OPTIONS,
+      products: products.map((p) => toProductCard(p, ratings)),
+      currentPage,
+      totalPages,
+      total,
+    };
+
+    if (isHtmxRequest(req)) {
+      return res.render("snippets/product-listing", { ...locals, layout: false });
+    }
+
+    const [ancestors, children] = await Promise.all([
+      getCategoryAncestors(category),
+      Category.find({ parent: category._id, isActive: true }).sort("name"),
+    ]);
+
+    res.render("category", {
+      ...locals,
+      title: category.name,
+      showBreadCrumbs: true,
+      pageName: category.name,
+      pathName: category.name,
+      breadcrumbs: ancestors.map((ancestor) => ({
+        name: ancestor.name,
+        href: `/category/${ancestor.slug}`,
+      })),
+      category,
+      children,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+pagesRouter.get("/search", async (req, res, next) => {
+  try {
+    const search = String(req.query.search ?? "").trim();
+
+    /** @type {import("../controllers/products.js").ProductQuery} */
+    const query = {
+      search,
+      ...getFilterParams(req.query),
+      sort: getSortParam(req.query.sort, SEARCH_SORT_OPTIONS),
+      order: req.query.order === "asc" ? "asc" : "desc",
+      limit: getCountParam(req.query.limit, SEARCH_PAGE_LIMIT, MAX_PAGE_LIMIT),
+    };
+    const [hits, { categories }] = await Promise.all([
+      searchProducts(search),
+      suggestSearch(search),
+    ]);
+    const { products, currentPage, totalPages, total } = await findSearchResults(
+      hits,
+      await parseProductFilters(query),
+      { ...query, page: getCountParam(req.query.page, 1) }
+    );
+    const ratings = await getProductRatings(products.map((p) => p._id));
+
+    const locals = {
+      baseUrl: "/search",
+      query,
+      sortOptions: SEARCH_SORT_OPTIONS,
+      emptyMessage: search
+        ? `No products match "${search}". Check the spelling or try fewer words.`
+        : "Type what you are looking for above.",
+      search,
+      categories,
+      products: products.map((p) => toProductCard(p, ratings)),
+      currentPage,
+      totalPages,
+      total,
+    };
+
+    if (isHtmxRequest(req)) {
+      return res.render("snippets/product-listing", { ...locals, layout: false });
+    }
+
+    res.render("search", {
+      ...locals,
+      title: search ? `Search: ${search}` : "Search",
+      showBreadCrumbs: true,
+      pageName: search ? `Results for "${search}"` : "Search",
+      pathName: "Search",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
 export default pagesRouter;
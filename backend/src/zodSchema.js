@@ -1,4 +1,22 @@
 import { z } from "zod";
+import { ORDER_STATUSES, PAYMENT_STATUSES } from "./models/index.js";
+
+const inventoryStatusSchema = z.enum(["in_stock", "out_of_stock", "discontinued"]);
+
+// Reservations are only ever moved by checkouts, so no schema accepts `reserved`
+const variantSchema = z.object({
+    name: z.string(),
+    price: z.number().gt(0),
+    sku: z.string().optional(),
+    weight: z.number().min(0).optional(),
+    inventory: z.object({
+        quantity: z.number().int().min(0).default(0),
+    }).optional(),
+    attributes: z.array(z.object({
+        name: z.string(),
+        value: z.string(),
+    })).optional(),
+});
 
 export const productSchema = z.object({
     name: z.string(),
@@ -13,25 +31,154 @@ export const productSchema = z.object({
     categories: z.array(z.string()).optional(),
     brand: z.string().optional(),
     sku: z.string().optional(),
+    weight: z.number().min(0).optional(),
     inventory: z.object({
-        quantity: z.number().default(10),
-        reserved: z.number().default(0),
-        status: z.enum(["in_stock", "out_of_stock", "discontinued"]).default("in_stock")
+        quantity: z.number().int().min(0).default(10),
+        status: inventoryStatusSchema.default("in_stock")
     }).optional(),
-    variants: z.array(z.object({
-        name: z.string(),
-        price: z.number().gt(0),
-        sku: z.string().optional(),
-        inventory: z.object({
-            quantity: z.number().default(0),
-        }).optional(),
-        attributes: z.array(z.object({
-            name: z.string(),
-            value: z.string(),
-        })).optional(),
-    })).optional(),
+    variants: z.array(variantSchema).optional(),
     specifications: z.object({
         name: z.string(),
         value: z.string(),
     }).passthrough().optional(),
-});
\ No newline at end of file
+});
+
+// Only the fields sent are changed. Variants are matched to the existing ones
+// by `_id`, else by SKU; those left out are removed
+export const productUpdateSchema = productSchema.omit({ inventory: true, variants: true }).partial().extend({
+    isActive: z.boolean().optional(),
+    inventory: z.object({
+        quantity: z.number().int().min(0).optional(),
+        status: inventoryStatusSchema.optional(),
+    }).optional(),
+    variants: z.array(variantSchema.extend({
+        _id: z.string().optional(),
+        inventory: z.object({
+            quantity: z.number().int().min(0).optional(),
+        }).optional(),
+    })).optional(),
+});
+
+// A stock count sets `quantity`; a delivery or write-off passes `adjustment`
+export const inventoryUpdateSchema = z.object({
+    variantId: z.string().optional(),
+    quantity: z.number().int().min(0).optional(),
+    adjustment: z.number().int().optional(),
+    status: inventoryStatusSchema.optional(),
+}).refine((update) => update.quantity === undefined || update.adjustment === undefined, {
+    message: "not allowed together with quantity",
+    path: ["adjustment"],
+});
+
+export const addressSchema = z.object({
+    street: z.string().trim().min(1),
+    city: z.string().trim().min(1),
+    state: z.string().trim().min(1),
+    postalCode: z.string().trim().min(1),
+    country: z.string().trim().min(1),
+});
+
+export const customerSchema = z.object({
+    email: z.string().trim().toLowerCase().email(),
+    firstName: z.string().trim().min(1),
+    lastName: z.string().trim().min(1),
+    phoneNumber: z.string().trim().optional(),
+    shippingAddress: addressSchema,
+    billingAddress: addressSchema.optional(),
+}).transform((customer) => ({
+    ...customer,
+    // Most shoppers bill to where they ship
+    billingAddress: customer.billingAddress ?? customer.shippingAddress,
+}));
+
+export const checkoutSchema = z.object({
+    customer: customerSchema,
+    paymentMethod: z.string().min(1),
+    // The cost is worked out on the server from the method picked
+    shipping: z.object({
+        method: z.string().min(1),
+    }),
+});
+
+export const shippingQuoteSchema = z.object({
+    address: addressSchema.pick({ state: true, country: true }),
+});
+
+export const accountRegisterSchema = z.object({
+    email: z.string().trim().toLowerCase().email(),
+    password: z.string().min(8, "at least 8 characters"),
+    firstName: z.string().trim().min(1),
+    lastName: z.string().trim().min(1),
+    phoneNumber: z.string().trim().optional(),
+});
+
+export const accountProfileSchema = accountRegisterSchema
+    .pick({ firstName: true, lastName: true, phoneNumber: true })
+    .partial();
+
+export const accountAddressSchema = addressSchema.extend({
+    label: z.string().trim().optional(),
+    type: z.enum(["shipping", "billing"]).default("shipping"),
+    isDefault: z.boolean().default(false),
+});
+
+export const cartEmailSchema = z.object({
+    email: z.string().trim().toLowerCase().email(),
+});
+
+// The new price of each changed cart line, as shown to the shopper
+export const priceAcknowledgementSchema = z.object({
+    prices: z.array(z.object({
+        itemId: z.string().min(1),
+        price: z.number().min(0),
+    })).min(1),
+});
+
+export const cartCouponSchema = z.object({
+    code: z.string().trim().min(1),
+});
+
+const objectIdSchema = z.string().regex(/^[a-f\d]{24}$/i, "must be a valid ID");
+
+// Optional limits take null to clear them on update
+export const couponSchema = z.object({
+    code: z.string().trim().min(1).toUpperCase(),
+    description: z.string().trim().optional(),
+    type: z.enum(["percentage", "fixed", "free_shipping"]),
+    value: z.number().min(0).default(0),
+    maxDiscount: z.number().min(0).nullish(),
+    minSubtotal: z.number().min(0).default(0),
+    products: z.array(objectIdSchema).default([]),
+    categories: z.array(objectIdSchema).default([]),
+    startsAt: z.coerce.date().nullish(),
+    endsAt: z.coerce.date().nullish(),
+    usageLimit: z.number().int().min(1).nullish(),
+    usageLimitPerCustomer: z.number().int().min(1).nullish(),
+    isActive: z.boolean().default(true),
+}).refine((coupon) => coupon.type !== "percentage" || coupon.value <= 100, {
+    message: "over 100 for a percentage coupon",
+    path: ["value"],
+}).refine((coupon) => !coupon.startsAt || !coupon.endsAt || coupon.startsAt < coupon.endsAt, {
+    message: "not after startsAt",
+    path: ["endsAt"],
+});
+
+/**
+ * An optional query string parameter; an empty value counts as not given
+ * @param {z.ZodTypeAny} schema
+ */
+const queryParam = (schema) =>
+    z.preprocess((value) => (value === "" ? undefined : value), schema.optional());
+
+// Staff order list filters, as they arrive in the query string
+export const orderListQuerySchema = z.object({
+    status: queryParam(z.enum(/** @type {[string, ...string[]]} */ (ORDER_STATUSES))),
+    paymentStatus: queryParam(z.enum(/** @type {[string, ...string[]]} */ (PAYMENT_STATUSES))),
+    from: queryParam(z.coerce.date()),
+    to: queryParam(z.coerce.date()),
+    email: queryParam(z.string().trim().toLowerCase()),
+    minTotal: queryParam(z.coerce.number().min(0)),
+    maxTotal: queryParam(z.coerce.number().min(0)),
+    page: queryParam(z.coerce.number().int().min(1)),
+    limit: queryParam(z.coerce.number().int().min(1).max(100)),
+});